@@ -1,6 +1,24 @@
 /**
  * BRI Custom Forms - GDPR Compliant
- * Submits directly to HubSpot Forms v3 API
+ * Submits to HubSpot Forms v3 API by default, or to any registered
+ * submitter adapter selected via the form config:
+ *   submitter: 'dryRun'
+ *   submitter: { type: 'webhook', url: 'https://staging.example.com/leads' }
+ *   BRICustomForm.registerSubmitter('myCrm', MyCrmSubmitter)
+ *
+ * Visitor-facing text is available in English and German (see I18N).
+ * The locale comes from config.locale, ?lang=, window.BRI_LOCALE,
+ * <html lang> or navigator.language, in that order.
+ *
+ * Forms mount themselves into <div data-bri-form="quickEmail"> containers,
+ * including ones added later (see FormAutoMounter), or manually with
+ * new BRICustomForm(config).render(container).
+ *
+ * Look and feel comes from --bri-* CSS custom properties, set in page CSS
+ * or via a theme object (CONFIG.theme, window.BRI_THEME, config.theme).
+ *
+ * Downloads (config.resources / resourcesWhen, see ResourceCatalogue) are
+ * offered as links on the success screen once the form has been submitted.
  *
  * GDPR Compliance Features:
  * - Explicit consent required before submission
@@ -41,44 +59,565 @@
         processingConsent: 'LEGITIMATE_INTEREST_CLIENT',
         communicationConsent: 'CONSENT'
       },
+      // HubSpot subscription types (Settings > Marketing > Email > Subscription Types).
+      // Each one a form offers gets its own, unticked opt-in checkbox.
+      subscriptionTypes: {
+        marketing: {
+          id: 999,
+          version: '2025-11-01',
+          label: {
+            en: 'I agree to receive marketing communications from Big Rock Intelligence about AI governance, EU AI Act compliance, and related topics. I can unsubscribe at any time.',
+            de: 'Ich möchte Marketing-Mitteilungen von Big Rock Intelligence zu KI-Governance, Compliance mit dem EU AI Act und verwandten Themen erhalten. Ich kann mich jederzeit abmelden.'
+          }
+        }
+      },
+      // Bump when the wording of the consent checkbox or privacy notice changes
+      consentVersions: {
+        processing: '2025-11-01',
+        privacyNotice: '2025-11-01'
+      },
+      consentReceipts: {
+        storageKey: 'bri-consent-receipts',
+        maxStored: 20,
+        emitAnalytics: true,
+        // Also send the receipt to HubSpot as contact properties. Off until
+        // these exist in the portal (Settings > Properties), since HubSpot
+        // rejects submissions with unknown properties:
+        //   consent_processing_version, consent_processing_hash,
+        //   consent_privacy_notice_version, consent_privacy_notice_hash,
+        //   consent_communications (single-line text)
+        //   consent_recorded_at (date and time; sent as epoch ms)
+        hubspotProperties: false
+      },
+      // Data minimisation: the only properties a submission may carry
+      allowedFields: [
+        'email', 'firstname', 'lastname', 'company', 'phone', 'jobtitle', 'interest_area',
+        'event_name', 'event_engagement_level', 'utm_source_original',
+        'session_duration_seconds', 'top_interest_section_1', 'top_interest_section_2',
+        'top_interest_section_3', 'cta_interaction_type', 'linkedin_lead_source'
+      ],
+      // Self-service data subject requests (config.mode: 'dataSubjectRequest').
+      // Sent only to this endpoint (window.BRI_DSR_ENDPOINT overrides), never
+      // to HubSpot forms, and without consent checkboxes or analytics fields.
+      dataSubjectRequests: {
+        endpoint: null,
+        legalBasis: 'LEGAL_OBLIGATION', // GDPR Art. 6(1)(c)
+        referencePrefix: 'DSR',
+        allowedFields: ['request_type', 'email', 'firstname', 'lastname', 'details', 'request_reference']
+      },
+      contactEmail: 'james@bigrock-intel.ai',
       dataRetentionInfo: 'We store your data securely in HubSpot (EU1 region) for customer relationship management. You can request deletion at any time by contacting james@bigrock-intel.ai'
+    },
+    retryQueue: {
+      storageKey: 'bri-form-retry-queue',
+      baseDelayMs: 5000, // 5 seconds, doubled per attempt
+      maxDelayMs: 5 * 60 * 1000, // 5 minutes
+      maxAttempts: 10,
+      maxAgeMs: 7 * 24 * 60 * 60 * 1000, // Drop entries older than 7 days
+      claimMs: 30 * 1000 // Other tabs skip an entry this long while it is sent
+    },
+    // Colours, radius, fonts and button styles as --bri-* CSS custom
+    // properties (see THEME_PRESETS). Merged with window.BRI_THEME and
+    // config.theme; anything left unset falls back to the page's own --bri-*
+    // variables and then to the built-in light look.
+    theme: {},
+    // Mount forms into <div data-bri-form="quickEmail"> containers
+    // automatically, including ones added to the page later
+    autoMount: true,
+    // Config schema checks (see FormConfigSchema). In strict mode a form
+    // with problems refuses to render; forms can override with config.strict.
+    schemaValidation: {
+      strict: false
+    },
+    // Privacy-friendly bot defences (no third-party CAPTCHA).
+    // Forms can override any of these via config.spamProtection.
+    spamProtection: {
+      honeypotField: 'website', // Invisible to people, tempting to bots
+      minSubmitMs: 3000, // Faster than a person can fill the form
+      // Counted per form and per set of answers, so a shared device (booth
+      // tablet, QR kiosk) can take any number of different leads
+      rateLimit: {
+        storageKey: 'bri-form-submit-log',
+        max: 5, // Identical submissions per form...
+        windowMs: 60 * 60 * 1000 // ...per hour
+      },
+      // No effect with the HubSpot submitter (the default): only webhook and
+      // dry-run payloads carry context.antiSpam, so it is never computed there
+      proofOfWork: {
+        enabled: false,
+        difficulty: 16 // Leading zero bits of the FNV-1a hash
+      },
+      // 'drop': pretend success and send nothing
+      // 'tag': send anyway with antiSpam.flags. No effect with HubSpot, which
+      //        has no field for it: flagged HubSpot leads are always dropped.
+      action: 'drop'
+    }
+  };
+
+  /**
+   * Locale bundles
+   * Visitor-facing strings per language. Keys use {name} placeholders.
+   * Add languages at runtime with BRICustomForm.registerLocale().
+   */
+  const I18N = {
+    en: {
+      'form.select': 'Select...',
+      'form.submit': 'Submit',
+      'form.submitting': 'Submitting...',
+      'form.success': 'Thank you! We\'ll be in touch soon.',
+      'form.queued': 'Saved! You seem to be offline &ndash; we\'ll send your details automatically as soon as you\'re back online.',
+      'form.queuedRetry': 'Saved! We couldn\'t reach our server just now &ndash; we\'ll send your details automatically in a moment.',
+      'form.correctErrors': 'Please correct the following:',
+      'form.submitFailed': 'Submission failed. Please try again or contact {contactEmail}',
+      'form.submitRejected': 'We could not accept your details. Please contact {contactEmail}',
+      'consent.checkbox': 'I agree to allow Big Rock Intelligence to store and process my personal data for the purpose of responding to my inquiry and providing information about AI governance and EU AI Act compliance services.',
+      'consent.required': 'Please confirm your consent to continue',
+      'privacy.notice': 'By submitting this form, your data will be processed by Big Rock Intelligence (Frankfurt am Main, Germany) and stored securely in HubSpot\'s EU1 data center in accordance with GDPR. You have the right to access, rectify, or delete your data at any time by contacting <a href="mailto:{contactEmail}">{contactEmail}</a>. Read our <a href="{privacyPolicyUrl}" target="_blank">Privacy Policy</a> for more information.',
+      'gdpr.consentRequired': 'Explicit consent is required before data processing',
+      'gdpr.emailRequired': 'Email is required for contact identification',
+      'gdpr.emailInvalid': 'Email must be valid to ensure data accuracy',
+      'gdpr.fieldNotAllowed': 'Field "{field}" is not allowed',
+      'validation.required': 'This field is required',
+      'validation.email': 'Please enter a valid email address',
+      'validation.tel': 'Please enter your number in international format, e.g. +49 151 12345678',
+      'validation.number': 'Please enter a number',
+      'validation.min': 'Please enter a value of at least {min}',
+      'validation.max': 'Please enter a value of no more than {max}',
+      'validation.pattern': 'Please match the requested format',
+      'validation.minLength': 'Please enter at least {minLength} characters',
+      'validation.maxLength': 'Please enter no more than {maxLength} characters',
+      'validation.validate': 'Please check this field',
+      'validation.blockedEmail': 'Please use your business email address',
+      'validation.tooLong': 'This entry is too long',
+      'validation.matches': 'The entries do not match',
+      'resources.title': 'Your downloads',
+      'dsr.notice': 'We use these details only to verify and answer your request under the GDPR, and keep them only as long as the law requires.',
+      'dsr.success': '<h3>Request received</h3><p>Your reference number is <strong>{reference}</strong>. Please quote it in any follow-up. We will reply within one month.</p>',
+      'dsr.queued': '<h3>Request saved</h3><p>Your reference number is <strong>{reference}</strong>. We couldn\'t send it yet &ndash; it will be sent automatically as soon as possible. Please quote the reference in any follow-up.</p>'
+    },
+    de: {
+      'form.select': 'Bitte auswählen...',
+      'form.submit': 'Absenden',
+      'form.submitting': 'Wird gesendet...',
+      'form.success': 'Vielen Dank! Wir melden uns in Kürze bei Ihnen.',
+      'form.queued': 'Gespeichert! Sie scheinen offline zu sein &ndash; wir senden Ihre Angaben automatisch, sobald Sie wieder online sind.',
+      'form.queuedRetry': 'Gespeichert! Unser Server war gerade nicht erreichbar &ndash; wir senden Ihre Angaben automatisch in Kürze.',
+      'form.correctErrors': 'Bitte korrigieren Sie Folgendes:',
+      'form.submitFailed': 'Die Übermittlung ist fehlgeschlagen. Bitte versuchen Sie es erneut oder schreiben Sie an {contactEmail}',
+      'form.submitRejected': 'Ihre Angaben konnten nicht angenommen werden. Bitte schreiben Sie an {contactEmail}',
+      'consent.checkbox': 'Ich bin damit einverstanden, dass Big Rock Intelligence meine personenbezogenen Daten speichert und verarbeitet, um meine Anfrage zu beantworten und mir Informationen über KI-Governance und Leistungen zur Compliance mit dem EU AI Act zukommen zu lassen.',
+      'consent.required': 'Bitte bestätigen Sie Ihre Einwilligung, um fortzufahren',
+      'privacy.notice': 'Mit dem Absenden dieses Formulars werden Ihre Daten von Big Rock Intelligence (Frankfurt am Main, Deutschland) verarbeitet und DSGVO-konform im EU1-Rechenzentrum von HubSpot gespeichert. Sie haben jederzeit das Recht auf Auskunft, Berichtigung oder Löschung Ihrer Daten &ndash; schreiben Sie dazu an <a href="mailto:{contactEmail}">{contactEmail}</a>. Weitere Informationen finden Sie in unserer <a href="{privacyPolicyUrl}" target="_blank">Datenschutzerklärung</a>.',
+      'gdpr.consentRequired': 'Vor der Datenverarbeitung ist eine ausdrückliche Einwilligung erforderlich',
+      'gdpr.emailRequired': 'Zur Identifikation wird eine E-Mail-Adresse benötigt',
+      'gdpr.emailInvalid': 'Die E-Mail-Adresse muss gültig sein',
+      'gdpr.fieldNotAllowed': 'Das Feld "{field}" ist nicht zulässig',
+      'validation.required': 'Dieses Feld ist erforderlich',
+      'validation.email': 'Bitte geben Sie eine gültige E-Mail-Adresse ein',
+      'validation.tel': 'Bitte geben Sie Ihre Nummer im internationalen Format ein, z. B. +49 151 12345678',
+      'validation.number': 'Bitte geben Sie eine Zahl ein',
+      'validation.min': 'Bitte geben Sie einen Wert von mindestens {min} ein',
+      'validation.max': 'Bitte geben Sie einen Wert von höchstens {max} ein',
+      'validation.pattern': 'Bitte halten Sie sich an das vorgegebene Format',
+      'validation.minLength': 'Bitte geben Sie mindestens {minLength} Zeichen ein',
+      'validation.maxLength': 'Bitte geben Sie höchstens {maxLength} Zeichen ein',
+      'validation.validate': 'Bitte überprüfen Sie dieses Feld',
+      'validation.blockedEmail': 'Bitte verwenden Sie Ihre geschäftliche E-Mail-Adresse',
+      'validation.tooLong': 'Diese Eingabe ist zu lang',
+      'validation.matches': 'Die Eingaben stimmen nicht überein',
+      'resources.title': 'Ihre Downloads',
+      'dsr.notice': 'Wir verwenden diese Angaben nur, um Ihre Anfrage nach der DSGVO zu prüfen und zu beantworten, und speichern sie nur so lange, wie es gesetzlich vorgeschrieben ist.',
+      'dsr.success': '<h3>Anfrage erhalten</h3><p>Ihre Referenznummer lautet <strong>{reference}</strong>. Bitte geben Sie sie bei Rückfragen an. Wir antworten innerhalb eines Monats.</p>',
+      'dsr.queued': '<h3>Anfrage gespeichert</h3><p>Ihre Referenznummer lautet <strong>{reference}</strong>. Wir konnten die Anfrage noch nicht senden &ndash; sie wird automatisch so bald wie möglich gesendet. Bitte geben Sie die Referenz bei Rückfragen an.</p>'
+    }
+  };
+
+  const DEFAULT_LOCALE = 'en';
+
+  /**
+   * Map 'de-DE', 'de_AT' etc. to a supported bundle, or null
+   */
+  function normalizeLocale(value, bundles = I18N) {
+    if (!value) return null;
+    const language = String(value).toLowerCase().split(/[-_]/)[0];
+    return bundles[language] ? language : null;
+  }
+
+  /**
+   * Detect the visitor's locale. Precedence:
+   * ?lang= query parameter, window.BRI_LOCALE, <html lang>, navigator.language
+   * @param {Object} [bundles=I18N] - Messages by language; only these count
+   */
+  function detectLocale(bundles = I18N) {
+    const candidates = [
+      new URLSearchParams(window.location.search).get('lang'),
+      window.BRI_LOCALE,
+      document.documentElement.getAttribute('lang'),
+      ...(navigator.languages || [navigator.language])
+    ];
+
+    for (const candidate of candidates) {
+      const locale = normalizeLocale(candidate, bundles);
+      if (locale) return locale;
+    }
+    return DEFAULT_LOCALE;
+  }
+
+  /**
+   * Translate a key, falling back to English, then to the key itself
+   */
+  function translate(locale, key, params = {}) {
+    const bundle = I18N[locale] || {};
+    const template = key in bundle ? bundle[key] : (I18N[DEFAULT_LOCALE][key] || key);
+    return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] != null ? params[name] : match));
+  }
+
+  /**
+   * Resolve a config value that may be given per locale,
+   * e.g. label: { en: 'Email Address', de: 'E-Mail-Adresse' }
+   */
+  function localize(value, locale) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      if (locale in value) return value[locale];
+      if (DEFAULT_LOCALE in value) return value[DEFAULT_LOCALE];
+      return Object.values(value)[0];
+    }
+    return value;
+  }
+
+  /**
+   * Escape a config value for use in HTML text or attribute context
+   */
+  function escapeHTML(value) {
+    return String(value == null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Reduce a config value (formGuid, field name) to a safe DOM ID fragment
+   */
+  function toIdPart(value) {
+    return String(value).replace(/[^A-Za-z0-9_-]/g, '_');
+  }
+
+  /**
+   * Only plain colour values are allowed into inline styles
+   */
+  function safeColor(value, fallback) {
+    const colorPattern = /^(#[0-9a-f]{3,8}|[a-z]+|(rgb|hsl)a?\([\d\s.,%deg]+\)|var\(--[\w-]+\))$/i;
+    return value && colorPattern.test(String(value).trim()) ? String(value).trim() : fallback;
+  }
+
+  /**
+   * Links may only point to web pages, mail/phone or relative paths
+   */
+  function isSafeUrl(value) {
+    return /^(https?:|mailto:|tel:|#|\/|\.)/i.test(String(value == null ? '' : value).trim());
+  }
+
+  // Rich-text config values (successMessage, privacy notice) may use these
+  const SAFE_HTML_TAGS = ['A', 'B', 'BR', 'DIV', 'EM', 'H3', 'H4', 'I', 'LI', 'OL', 'P', 'SMALL', 'SPAN', 'STRONG', 'UL'];
+  const SAFE_HTML_ATTRIBUTES = ['class', 'href', 'rel', 'style', 'target'];
+  const DROPPED_HTML_TAGS = ['SCRIPT', 'STYLE', 'IFRAME', 'OBJECT', 'EMBED', 'TEMPLATE', 'NOSCRIPT', 'LINK', 'META', 'SVG', 'MATH'];
+
+  function cleanHTMLNode(parent) {
+    Array.from(parent.childNodes).forEach(node => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        return;
+      }
+
+      if (node.nodeType !== Node.ELEMENT_NODE || DROPPED_HTML_TAGS.includes(node.tagName.toUpperCase())) {
+        node.remove();
+        return;
+      }
+
+      cleanHTMLNode(node);
+
+      // Unknown formatting tags are unwrapped, keeping their text
+      if (!SAFE_HTML_TAGS.includes(node.tagName.toUpperCase())) {
+        node.replaceWith(...node.childNodes);
+        return;
+      }
+
+      Array.from(node.attributes).forEach(attribute => {
+        const name = attribute.name.toLowerCase();
+        const value = attribute.value;
+        const unsafe = !SAFE_HTML_ATTRIBUTES.includes(name) ||
+          (name === 'href' && !isSafeUrl(value)) ||
+          (name === 'style' && /url\(|expression\(/i.test(value));
+        if (unsafe) {
+          node.removeAttribute(attribute.name);
+        }
+      });
+
+      if (node.getAttribute('target') === '_blank') {
+        node.setAttribute('rel', 'noopener noreferrer');
+      }
+    });
+  }
+
+  /**
+   * Allow-list sanitiser for rich-text config values
+   */
+  function sanitizeHTML(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html == null ? '' : String(html);
+    cleanHTMLNode(template.content);
+    return template.innerHTML;
+  }
+
+  // Per-formGuid counters so repeated forms still get unique IDs
+  const FORM_INSTANCE_COUNTS = {};
+
+  // Built-in variants; theme.mode picks one (light is the CSS fallback look)
+  const THEME_PRESETS = {
+    light: {},
+    dark: {
+      colors: {
+        text: '#f7fafc',
+        textMuted: '#cbd5e0',
+        surface: '#1a202c',
+        surfaceMuted: 'rgba(255, 255, 255, 0.06)',
+        border: '#4a5568',
+        borderMuted: '#2d3748',
+        error: '#fc8181',
+        successBg: '#22543d',
+        successBorder: '#2f855a',
+        successText: '#c6f6d5',
+        warningBg: '#744210',
+        warningBorder: '#975a16',
+        warningText: '#fefcbf',
+        errorBg: '#742a2a',
+        errorBorder: '#c53030',
+        errorText: '#fed7d7'
+      }
+    }
+  };
+
+  /**
+   * Merge themes left to right; nested groups (colors, button) are merged too
+   */
+  function mergeThemes(...themes) {
+    return themes.filter(Boolean).reduce((merged, theme) => {
+      Object.keys(theme).forEach(key => {
+        merged[key] = theme[key] && typeof theme[key] === 'object'
+          ? { ...merged[key], ...theme[key] }
+          : theme[key];
+      });
+      return merged;
+    }, {});
+  }
+
+  /**
+   * Flatten a theme into custom properties:
+   *   { colors: { primary: '#dab86e' }, button: { radius: '999px' }, fontFamily: 'Jost' }
+   *   -> --bri-color-primary, --bri-button-radius, --bri-font-family
+   */
+  function themeProperties(theme, prefix = '--bri') {
+    return Object.keys(theme || {})
+      .filter(key => key !== 'mode')
+      .reduce((properties, key) => {
+        const name = `${prefix}-${(key === 'colors' ? 'color' : key).replace(/[A-Z]/g, c => '-' + c.toLowerCase())}`;
+        const value = theme[key];
+        return value && typeof value === 'object'
+          ? { ...properties, ...themeProperties(value, name) }
+          : { ...properties, [name]: String(value) };
+      }, {});
+  }
+
+  // One shared <style> per document (or shadow root), counted by mounted forms
+  const STYLE_ELEMENT_ID = 'bri-custom-form-styles';
+
+  /**
+   * Status codes worth retrying (timeouts, rate limits, server errors)
+   */
+  function isRetryableStatus(status) {
+    return status === 408 || status === 425 || status === 429 || status >= 500;
+  }
+
+  /**
+   * Why a submission failed, as returned in submitter results and the
+   * submitError event. errors: [{ type, field, message }], where field is
+   * set when the server blamed a specific form field.
+   */
+  class SubmissionError extends Error {
+    constructor(message, details = {}) {
+      super(message);
+      this.name = 'SubmissionError';
+      this.status = details.status || null; // null: never reached the server
+      this.retryable = Boolean(details.retryable);
+      this.errors = details.errors || [];
+      this.correlationId = details.correlationId || null;
     }
+
+    get fieldErrors() {
+      return this.errors.filter(error => error.field);
+    }
+  }
+
+  // HubSpot error types a visitor can fix, and the message shown on the field
+  const SERVER_FIELD_ERRORS = {
+    INVALID_EMAIL: 'validation.email',
+    BLOCKED_EMAIL: 'validation.blockedEmail',
+    REQUIRED_FIELD: 'validation.required',
+    INVALID_NUMBER: 'validation.number',
+    NUMBER_OUT_OF_RANGE: 'validation.validate',
+    INPUT_TOO_LARGE: 'validation.tooLong',
+    VALUE_NOT_IN_FIELD_DEFINITION: 'validation.validate'
   };
 
+  /**
+   * FNV-1a 32-bit hash as hex (fast, non-cryptographic)
+   */
+  function fnv1a(source) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < source.length; i++) {
+      hash ^= source.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+  }
+
+  /**
+   * Deterministic idempotency key for a submission, so that the same
+   * answers submitted twice while offline are only queued once
+   */
+  function createIdempotencyKey(formGuid, formData) {
+    const source = formGuid + JSON.stringify(Object.keys(formData).sort().map(key => [key, formData[key]]));
+    return `${formGuid}-${fnv1a(source)}`;
+  }
+  /**
+   * Reference number shown to the visitor for a data subject request,
+   * e.g. DSR-20251101-K7Q2MX
+   */
+  function createRequestReference(prefix) {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    const bytes = new Uint8Array(6);
+    if (window.crypto && window.crypto.getRandomValues) {
+      window.crypto.getRandomValues(bytes);
+    } else {
+      bytes.forEach((byte, index) => {
+        bytes[index] = Math.floor(Math.random() * 256);
+      });
+    }
+
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const suffix = Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('');
+    return `${prefix}-${date}-${suffix}`;
+  }
+
+
+  /**
+   * Consent Recorder
+   * Fingerprints the exact consent wording a visitor saw (version + content
+   * hash) and keeps a local receipt of what they agreed to. Receipts hold
+   * no personal data: only versions, hashes, choices, locale and form GUID.
+   */
+  class ConsentRecorder {
+    /**
+     * SHA-256 of the text (FNV-1a where SubtleCrypto is unavailable, e.g. http)
+     */
+    static async hash(text) {
+      if (window.crypto && window.crypto.subtle && window.TextEncoder) {
+        try {
+          const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+          return 'sha256:' + Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+        } catch (error) {
+          // Fall through to FNV-1a
+        }
+      }
+      return 'fnv1a:' + fnv1a(text);
+    }
+
+    static async describe(version, text) {
+      return {
+        version: version,
+        hash: await this.hash(text)
+      };
+    }
+
+    /**
+     * Receipt as contact properties, so the CRM keeps its own record of the
+     * wording agreed to; the localStorage copy is only a secondary one.
+     * Sent only with gdprConfig.consentReceipts.hubspotProperties.
+     */
+    static toFields(receipt) {
+      return {
+        consent_processing_version: receipt.processing.version,
+        consent_processing_hash: receipt.processing.hash,
+        consent_privacy_notice_version: receipt.privacyNotice.version,
+        consent_privacy_notice_hash: receipt.privacyNotice.hash,
+        consent_communications: receipt.communications
+          .map(c => `${c.subscriptionTypeId}|${c.version}|${c.hash}|${c.value ? 'yes' : 'no'}`)
+          .join(';'),
+        consent_recorded_at: Date.parse(receipt.timestamp)
+      };
+    }
+
+    static getReceipts() {
+      try {
+        return JSON.parse(localStorage.getItem(CONFIG.gdprConfig.consentReceipts.storageKey)) || [];
+      } catch (error) {
+        return [];
+      }
+    }
+
+    /**
+     * Store a receipt locally (newest last, capped) and optionally report it
+     */
+    static record(receipt) {
+      const options = CONFIG.gdprConfig.consentReceipts;
+      const receipts = this.getReceipts().concat(receipt).slice(-options.maxStored);
+
+      try {
+        localStorage.setItem(options.storageKey, JSON.stringify(receipts));
+      } catch (error) {
+        // Storage full or disabled; the submission itself still carries the text
+      }
+
+      if (options.emitAnalytics && window.EventAnalytics && window.EventAnalytics.trackConsentReceipt) {
+        window.EventAnalytics.trackConsentReceipt(receipt);
+      }
+    }
+  }
+
   /**
    * GDPR Compliance Validator
    * Ensures all submissions meet GDPR requirements
    */
   class GDPRComplianceValidator {
-    static validate(formData, consentGiven) {
+    /**
+     * options.consentRequired: false for processing on another legal basis
+     * (data subject requests); options.allowedFields replaces the whitelist
+     */
+    static validate(formData, consentGiven, locale = DEFAULT_LOCALE, options = {}) {
       const errors = [];
 
       // 1. Consent Requirement
-      if (!consentGiven) {
-        errors.push('Explicit consent is required before data processing');
+      if (options.consentRequired !== false && !consentGiven) {
+        errors.push(translate(locale, 'gdpr.consentRequired'));
       }
 
       // 2. Data Minimization
       if (!formData.email) {
-        errors.push('Email is required for contact identification');
+        errors.push(translate(locale, 'gdpr.emailRequired'));
       }
 
       // 3. Email Validation
       if (formData.email && !this.isValidEmail(formData.email)) {
-        errors.push('Email must be valid to ensure data accuracy');
+        errors.push(translate(locale, 'gdpr.emailInvalid'));
       }
 
       // 4. No excessive data collection
-      const allowedFields = [
-        'email', 'firstname', 'lastname', 'company', 'phone', 'jobtitle',
-        'event_name', 'event_engagement_level', 'utm_source_original',
-        'session_duration_seconds', 'top_interest_section_1', 'top_interest_section_2',
-        'top_interest_section_3', 'cta_interaction_type', 'linkedin_lead_source'
-      ];
+      const allowedFields = options.allowedFields || CONFIG.gdprConfig.allowedFields;
 
       Object.keys(formData).forEach(key => {
         if (!allowedFields.includes(key)) {
-          errors.push(`Field "${key}" is not allowed`);
+          errors.push(translate(locale, 'gdpr.fieldNotAllowed', { field: key }));
         }
       });
 
@@ -93,156 +632,1422 @@
       const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
       return emailRegex.test(email);
     }
+
+    static isValidPhone(phone) {
+      // E.164: leading +, country code, up to 15 digits (spaces, dots, dashes, brackets allowed)
+      const digits = phone.replace(/[\s().-]/g, '');
+      return /^\+[1-9]\d{6,14}$/.test(digits);
+    }
   }
 
   /**
-   * HubSpot Form Submitter
-   * Handles secure submission to HubSpot Forms v3 API
+   * Field Validator
+   * Evaluates the declarative rules on a field config:
+   *   required, pattern, minLength, maxLength, validate, messages
+   *
+   * `validate` is a function (or array of functions) called with
+   * (value, values, field) that returns true/undefined when valid, or an
+   * error message string (or false) when invalid. It may return a Promise.
+   * `messages` overrides the default message per rule (optionally per locale), e.g.
+   *   messages: { required: 'We need your company name' }
+   *   messages: { required: { en: 'We need your company name', de: 'Bitte Firma angeben' } }
    */
-  class HubSpotFormSubmitter {
-    constructor(formConfig) {
-      this.formConfig = formConfig;
-      this.portalId = CONFIG.portalId;
-      this.apiUrl = `${CONFIG.apiBaseUrl}/${this.portalId}/${formConfig.formGuid}`;
-    }
-
+  class FieldValidator {
     /**
-     * Submit form data to HubSpot
-     * @param {Object} formData - Form field values
-     * @param {Object} context - Additional context (page URL, etc.)
-     * @param {Object} legalConsent - GDPR consent details
+     * Validate a single field value
+     * @param {Object} field - Field config from BRI_FORM_CONFIGS
+     * @param {string} value - Current field value
+     * @param {Object} values - All current form values (for cross-field rules)
+     * @param {string} locale - Locale for default and per-locale messages
+     * @returns {Promise<string|null>} Error message, or null when valid
      */
-    async submit(formData, context = {}, legalConsent = {}) {
-      try {
-        const payload = this.buildPayload(formData, context, legalConsent);
-
-        const response = await fetch(this.apiUrl, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(payload)
-        });
+    static async validate(field, value, values = {}, locale = DEFAULT_LOCALE) {
+      const message = rule => this.message(field, rule, locale);
+      const text = value == null ? '' : String(value).trim();
 
-        if (!response.ok) {
-          throw new Error(`Form submission failed`);
-        }
+      if (text === '') {
+        return field.required ? message('required') : null;
+      }
 
-        const result = await response.json();
+      if (field.type === 'email' && !GDPRComplianceValidator.isValidEmail(text)) {
+        return message('email');
+      }
 
-        return {
-          success: true,
-          data: result
-        };
+      if (field.type === 'tel' && !GDPRComplianceValidator.isValidPhone(text)) {
+        return message('tel');
+      }
 
-      } catch (error) {
-        return {
-          success: false,
-          error: 'Submission failed. Please try again.'
-        };
+      if (field.type === 'number') {
+        const number = Number(text);
+        if (Number.isNaN(number)) {
+          return message('number');
+        }
+        if (field.min != null && number < field.min) {
+          return message('min');
+        }
+        if (field.max != null && number > field.max) {
+          return message('max');
+        }
       }
-    }
 
-    /**
-     * Build HubSpot API payload with GDPR compliance
-     */
-    buildPayload(formData, context, legalConsent) {
-      // Convert form data to HubSpot fields format
-      const fields = Object.entries(formData).map(([name, value]) => ({
-        objectTypeId: '0-1', // Contact object
-        name: name,
-        value: String(value)
-      }));
+      if (field.minLength != null && text.length < field.minLength) {
+        return message('minLength');
+      }
 
-      // Build context
-      const pageUri = context.pageUri || window.location.href;
-      const pageName = context.pageName || document.title;
+      if (field.maxLength != null && text.length > field.maxLength) {
+        return message('maxLength');
+      }
 
-      // Build legal consent options (GDPR)
-      const legalConsentOptions = {
-        consent: {
-          consentToProcess: true,
-          text: legalConsent.text || 'I agree to allow Big Rock Intelligence to store and process my personal data.',
-          communications: [
-            {
-              value: true,
-              subscriptionTypeId: 999, // Marketing communications
-              text: legalConsent.communicationText || 'I agree to receive marketing communications from Big Rock Intelligence about AI governance, EU AI Act compliance, and related topics. I can unsubscribe at any time.'
-            }
-          ]
-        },
-        legitimateInterest: {
-          value: true,
-          subscriptionTypeId: 999,
-          legalBasis: 'LEGITIMATE_INTEREST_CLIENT',
-          text: 'Processing is necessary for the purposes of the legitimate interests pursued by Big Rock Intelligence in providing AI governance and compliance services to business contacts.'
+      if (field.pattern) {
+        let pattern;
+        try {
+          pattern = field.pattern instanceof RegExp ? field.pattern : new RegExp(`^(?:${field.pattern})$`);
+        } catch (error) {
+          console.error(`BRICustomForm field "${field.name}" has an invalid pattern:`, error);
+          return message('pattern');
         }
-      };
-
-      return {
-        submittedAt: Date.now(),
-        fields: fields,
-        context: {
-          hutk: this.getHubSpotCookie(),
-          pageUri: pageUri,
-          pageName: pageName,
-          ipAddress: null // HubSpot will capture this server-side for GDPR compliance
-        },
-        legalConsentOptions: legalConsentOptions
-      };
-    }
+        if (!pattern.test(text)) {
+          return message('pattern');
+        }
+      }
 
-    /**
-     * Get HubSpot tracking cookie (hutk) if available
-     */
-    getHubSpotCookie() {
-      const name = 'hubspotutk=';
-      const decodedCookie = decodeURIComponent(document.cookie);
-      const cookies = decodedCookie.split(';');
+      // Must repeat another field, e.g. an email confirmation
+      if (field.matches) {
+        const other = values[field.matches] == null ? '' : String(values[field.matches]).trim();
+        const same = field.type === 'email' ? text.toLowerCase() === other.toLowerCase() : text === other;
+        if (!same) {
+          return message('matches');
+        }
+      }
 
-      for (let cookie of cookies) {
-        cookie = cookie.trim();
-        if (cookie.indexOf(name) === 0) {
-          return cookie.substring(name.length);
+      const validators = [].concat(field.validate || []);
+      for (const validator of validators) {
+        let result;
+        try {
+          result = await validator(text, values, field);
+        } catch (error) {
+          // A broken custom rule counts as a failed check, not a dead form
+          console.error(`BRICustomForm validate for field "${field.name}" failed:`, error);
+          return message('validate');
+        }
+        if (typeof result === 'string') {
+          return result;
+        }
+        if (result === false) {
+          return message('validate');
         }
       }
+
       return null;
     }
+
+    static message(field, rule, locale = DEFAULT_LOCALE) {
+      const custom = field.messages && localize(field.messages[rule], locale);
+      if (custom) {
+        return custom.replace(/\{(\w+)\}/g, (match, key) => (field[key] != null ? field[key] : match));
+      }
+      return translate(locale, `validation.${rule}`, field);
+    }
   }
 
   /**
-   * Custom Form Component
-   * Renders and manages a GDPR-compliant form
+   * Field Conditions
+   * Evaluates showWhen / requiredWhen rules against the current form values.
+   * A condition is one of:
+   *   { field: 'interest_area', equals: 'ai_operations' }
+   *   { field: 'interest_area', in: ['ai_operations', 'security_risk'] }
+   *   { field: 'interest_area', notEquals: 'grant_funding' }
+   *   { field: 'company', notEmpty: true }
+   *   [condition, condition]  (all must match)
+   *   (values) => boolean
    */
-  class BRICustomForm {
+  class FieldConditions {
+    static matches(condition, values) {
+      if (!condition) {
+        return true;
+      }
+      if (typeof condition === 'function') {
+        return Boolean(condition(values));
+      }
+      if (Array.isArray(condition)) {
+        return condition.every(item => this.matches(item, values));
+      }
+
+      // Checkbox groups submit 'a;b', so compare against each selected value
+      const raw = values[condition.field];
+      const selected = raw == null || raw === '' ? [] : String(raw).split(';');
+
+      if ('equals' in condition) {
+        return selected.includes(String(condition.equals));
+      }
+      if ('in' in condition) {
+        return condition.in.some(value => selected.includes(String(value)));
+      }
+      if ('notEquals' in condition) {
+        return !selected.includes(String(condition.notEquals));
+      }
+      if ('notEmpty' in condition) {
+        return (selected.length > 0) === Boolean(condition.notEmpty);
+      }
+
+      return true;
+    }
+
+    static isVisible(field, values) {
+      return this.matches(field.showWhen, values);
+    }
+
+    static isRequired(field, values) {
+      return Boolean(field.required) || (Boolean(field.requiredWhen) && this.matches(field.requiredWhen, values));
+    }
+  }
+
+  /**
+   * Form Config Schema
+   * Catches config mistakes when configs are registered, instead of when a
+   * visitor hits submit: unknown field types, fields outside the GDPR
+   * whitelist, missing formGuid, duplicate names and broken option lists.
+   */
+  class FormConfigSchema {
+    static get fieldTypes() {
+      return ['email', 'text', 'select', 'textarea', 'radio', 'checkbox', 'tel', 'number', 'hidden'];
+    }
+
+    static get choiceTypes() {
+      return ['select', 'radio', 'checkbox'];
+    }
+
+    /**
+     * List every problem with a form config (empty when valid)
+     */
+    static check(config) {
+      const problems = [];
+
+      if (!config || typeof config !== 'object') {
+        return ['config must be an object'];
+      }
+
+      if (!config.formConfig || typeof config.formConfig.formGuid !== 'string' || !config.formConfig.formGuid.trim()) {
+        problems.push('formConfig.formGuid is missing');
+      }
+
+      if (!Array.isArray(config.fields)) {
+        problems.push('fields must be an array');
+        return problems;
+      }
+
+      const dataSubjectRequest = config.mode === 'dataSubjectRequest';
+      const allowedFields = dataSubjectRequest
+        ? CONFIG.gdprConfig.dataSubjectRequests.allowedFields
+        : CONFIG.gdprConfig.allowedFields;
+      const names = config.fields.map(field => field && field.name);
+      const honeypotField = { ...CONFIG.spamProtection, ...(config.spamProtection || {}) }.honeypotField;
+
+      config.fields.forEach((field, index) => {
+        const label = field && field.name ? `field "${field.name}"` : `field #${index + 1}`;
+
+        if (!field || typeof field.name !== 'string' || !field.name) {
+          problems.push(`${label} has no name`);
+          return;
+        }
+        if (!this.fieldTypes.includes(field.type)) {
+          problems.push(`${label} has unknown type "${field.type}" (expected one of: ${this.fieldTypes.join(', ')})`);
+        }
+        if (names.indexOf(field.name) !== index) {
+          problems.push(`${label} is defined more than once`);
+        }
+        if (field.name.startsWith('gdpr_') || field.name === honeypotField) {
+          problems.push(`${label} uses a reserved name`);
+        } else if (!field.matches && !allowedFields.includes(field.name)) {
+          problems.push(`${label} is not in the allowed fields for this form, so every submission would be rejected`);
+        }
+        if (field.matches && !names.includes(field.matches)) {
+          problems.push(`${label} matches unknown field "${field.matches}"`);
+        }
+        if (this.choiceTypes.includes(field.type)) {
+          problems.push(...this.checkOptions(field, label));
+        }
+        if (typeof field.pattern === 'string') {
+          try {
+            new RegExp(field.pattern);
+          } catch (error) {
+            problems.push(`${label} has an invalid pattern (${error.message})`);
+          }
+        }
+        ['showWhen', 'requiredWhen'].forEach(rule => {
+          this.conditionFields(field[rule])
+            .filter(name => !names.includes(name))
+            .forEach(name => problems.push(`${label} ${rule} refers to unknown field "${name}"`));
+        });
+      });
+
+      if (window.BRI_RESOURCES || Object.keys(ResourceCatalogue.resources).length > 0) {
+        ResourceCatalogue.referencedIds(config)
+          .filter(id => !ResourceCatalogue.get(id))
+          .forEach(id => problems.push(`resource "${id}" is not in the resource catalogue`));
+      }
+
+      if (dataSubjectRequest) {
+        if (config.subscriptions && config.subscriptions.length > 0) {
+          problems.push('data subject request forms cannot offer marketing subscriptions');
+        }
+        if (!config.submitter && !window.BRI_DSR_ENDPOINT && !CONFIG.gdprConfig.dataSubjectRequests.endpoint) {
+          problems.push('data subject request forms need an endpoint (gdprConfig.dataSubjectRequests.endpoint or window.BRI_DSR_ENDPOINT)');
+        }
+        return problems;
+      }
+
+      (config.subscriptions || [])
+        .filter(key => !CONFIG.gdprConfig.subscriptionTypes[key])
+        .forEach(key => problems.push(`subscription "${key}" is not in gdprConfig.subscriptionTypes`));
+
+      return problems;
+    }
+
+    /**
+     * Field names a FieldConditions condition refers to (functions are opaque)
+     */
+    static conditionFields(condition) {
+      if (Array.isArray(condition)) {
+        return condition.flatMap(item => this.conditionFields(item));
+      }
+      if (condition && typeof condition === 'object') {
+        return [condition.field];
+      }
+      return [];
+    }
+
+    static checkOptions(field, label) {
+      if (!Array.isArray(field.options) || field.options.length === 0) {
+        return [`${label} needs a non-empty options list`];
+      }
+
+      const problems = [];
+      const values = [];
+      field.options.forEach((option, index) => {
+        if (!option || (typeof option.value !== 'string' && typeof option.value !== 'number') || option.value === '') {
+          problems.push(`${label} option #${index + 1} has no value`);
+          return;
+        }
+        if (!option.label) {
+          problems.push(`${label} option "${option.value}" has no label`);
+        }
+        if (values.includes(String(option.value))) {
+          problems.push(`${label} has duplicate option value "${option.value}"`);
+        }
+        values.push(String(option.value));
+      });
+      return problems;
+    }
+
+    /**
+     * Check a config and warn about each problem once per page
+     */
+    static report(name, config) {
+      const problems = this.check(config);
+      problems
+        .map(problem => `BRICustomForm config "${name}": ${problem}`)
+        .filter(message => !this.reported.has(message))
+        .forEach(message => {
+          this.reported.add(message);
+          console.warn(message);
+        });
+      return problems;
+    }
+  }
+
+  FormConfigSchema.reported = new Set();
+
+  /**
+   * Resource Catalogue
+   * Downloads delivered on the success screen. Entries (window.BRI_RESOURCES
+   * or BRICustomForm.registerResources()) look like
+   *   euAiActGuide: { url, title: { en, de }, format: 'PDF', size: '2 MB' }
+   * Forms list ids in config.resources, and add more per answer with
+   *   resourcesWhen: [{ when: { field: 'interest_area', equals: 'eu_ai_act' }, resources: ['euAiActGuide'] }]
+   * using the same conditions as showWhen.
+   */
+  class ResourceCatalogue {
+    static register(resources) {
+      Object.assign(this.resources, resources);
+    }
+
+    static get(id) {
+      return this.resources[id] || (window.BRI_RESOURCES || {})[id] || null;
+    }
+
+    /**
+     * Resource ids a config can deliver, whatever the answers
+     */
+    static referencedIds(config) {
+      return (config.resources || []).concat(...(config.resourcesWhen || []).map(rule => rule.resources || []));
+    }
+
+    /**
+     * Resources for a submission, in config order without duplicates
+     */
+    static resolve(config, values) {
+      const ids = (config.resources || []).concat(...(config.resourcesWhen || [])
+        .filter(rule => FieldConditions.matches(rule.when, values))
+        .map(rule => rule.resources || []));
+
+      return Array.from(new Set(ids))
+        .map(id => ({ id: id, ...this.get(id) }))
+        .filter(resource => resource.url && isSafeUrl(resource.url));
+    }
+  }
+
+  ResourceCatalogue.resources = {};
+
+  /**
+   * HubSpot Form Submitter
+   * Handles secure submission to HubSpot Forms v3 API
+   */
+  class HubSpotFormSubmitter {
+    constructor(formConfig, options = {}) {
+      this.formConfig = formConfig;
+      this.portalId = options.portalId || CONFIG.portalId;
+      this.apiUrl = `${options.apiBaseUrl || CONFIG.apiBaseUrl}/${this.portalId}/${formConfig.formGuid}`;
+    }
+
+    /**
+     * Submit form data to HubSpot
+     * @param {Object} formData - Form field values
+     * @param {Object} context - Additional context (page URL, etc.)
+     * @param {Object} legalConsent - GDPR consent details
+     */
+    async submit(formData, context = {}, legalConsent = {}) {
+      return this.send(this.buildPayload(formData, context, legalConsent));
+    }
+
+    /**
+     * Send a previously built payload (also used when replaying the retry queue)
+     * @param {Object} payload - Output of buildPayload()
+     */
+    async send(payload) {
+      let response;
+      try {
+        response = await fetch(this.apiUrl, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify(payload)
+        });
+      } catch (error) {
+        // Network failure (offline, DNS, dropped Wi-Fi)
+        return {
+          success: false,
+          retryable: true,
+          error: new SubmissionError('Network error', { retryable: true })
+        };
+      }
+
+      if (!response.ok) {
+        let body = null;
+        try {
+          body = await response.json();
+        } catch (error) {
+          // Error without a JSON body (e.g. from a proxy)
+        }
+
+        const error = HubSpotFormSubmitter.parseError(response.status, body);
+        return {
+          success: false,
+          retryable: error.retryable,
+          error: error
+        };
+      }
+
+      let result = null;
+      try {
+        result = await response.json();
+      } catch (error) {
+        // Accepted without a JSON body
+      }
+
+      return {
+        success: true,
+        data: result
+      };
+    }
+
+    /**
+     * Turn a v3 error response into a SubmissionError, e.g.
+     *   { "status": "error", "message": "The request is not valid", "correlationId": "...",
+     *     "errors": [{ "message": "Error in 'fields.email'. Invalid email address", "errorType": "INVALID_EMAIL" }] }
+     */
+    static parseError(status, body) {
+      const errors = (body && Array.isArray(body.errors) ? body.errors : []).map(error => {
+        const field = /fields\.([\w-]+)/.exec(error.message || '');
+        return {
+          type: error.errorType || 'UNKNOWN',
+          field: field ? field[1] : null,
+          message: error.message || ''
+        };
+      });
+
+      return new SubmissionError((body && body.message) || `HubSpot responded with ${status}`, {
+        status: status,
+        retryable: isRetryableStatus(status),
+        errors: errors,
+        correlationId: body && body.correlationId
+      });
+    }
+
+    /**
+     * Build HubSpot API payload with GDPR compliance
+     */
+    buildPayload(formData, context, legalConsent) {
+      // Convert form data (and the consent receipt) to HubSpot fields format
+      const values = legalConsent.receipt && CONFIG.gdprConfig.consentReceipts.hubspotProperties
+        ? { ...formData, ...ConsentRecorder.toFields(legalConsent.receipt) }
+        : formData;
+      const fields = Object.entries(values).map(([name, value]) => ({
+        objectTypeId: '0-1', // Contact object
+        name: name,
+        value: String(value)
+      }));
+
+      // Build context
+      const pageUri = context.pageUri || window.location.href;
+      const pageName = context.pageName || document.title;
+
+      // Build legal consent options (GDPR). Consent only: a legitimateInterest
+      // entry would subscribe the contact regardless of the opt-in checkboxes.
+      const legalConsentOptions = {
+        consent: {
+          consentToProcess: true,
+          text: legalConsent.text || 'I agree to allow Big Rock Intelligence to store and process my personal data.',
+          // One entry per offered subscription type, value = whether it was ticked
+          communications: legalConsent.communications || []
+        }
+      };
+
+      return {
+        submittedAt: Date.now(),
+        fields: fields,
+        context: {
+          hutk: this.getHubSpotCookie(),
+          pageUri: pageUri,
+          pageName: pageName,
+          ipAddress: null // HubSpot will capture this server-side for GDPR compliance
+        },
+        legalConsentOptions: legalConsentOptions
+      };
+    }
+
+    /**
+     * Get HubSpot tracking cookie (hutk) if available
+     */
+    getHubSpotCookie() {
+      const name = 'hubspotutk=';
+      const decodedCookie = decodeURIComponent(document.cookie);
+      const cookies = decodedCookie.split(';');
+
+      for (let cookie of cookies) {
+        cookie = cookie.trim();
+        if (cookie.indexOf(name) === 0) {
+          return cookie.substring(name.length);
+        }
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Webhook Form Submitter
+   * Posts a generic JSON payload to any endpoint (staging, other CRMs)
+   */
+  class WebhookFormSubmitter {
+    constructor(formConfig, options = {}) {
+      if (!options.url) {
+        throw new Error('Webhook submitter requires a "url" option');
+      }
+
+      this.formConfig = formConfig;
+      this.url = options.url;
+      this.method = options.method || 'POST';
+      this.headers = options.headers || {};
+    }
+
+    /**
+     * Submit form data to the configured webhook
+     * @param {Object} formData - Form field values
+     * @param {Object} context - Additional context (page URL, etc.)
+     * @param {Object} legalConsent - GDPR consent details
+     */
+    async submit(formData, context = {}, legalConsent = {}) {
+      return this.send(this.buildPayload(formData, context, legalConsent));
+    }
+
+    /**
+     * Send a previously built payload
+     * @param {Object} payload - Output of buildPayload()
+     * @param {string} idempotencyKey - Lets the receiving endpoint drop replays
+     */
+    async send(payload, idempotencyKey) {
+      const headers = {
+        'Content-Type': 'application/json',
+        ...this.headers
+      };
+      if (idempotencyKey) {
+        headers['Idempotency-Key'] = idempotencyKey;
+      }
+
+      let response;
+      try {
+        response = await fetch(this.url, {
+          method: this.method,
+          headers: headers,
+          body: JSON.stringify(payload)
+        });
+      } catch (error) {
+        return {
+          success: false,
+          retryable: true,
+          error: new SubmissionError('Network error', { retryable: true })
+        };
+      }
+
+      if (!response.ok) {
+        const retryable = isRetryableStatus(response.status);
+        return {
+          success: false,
+          retryable: retryable,
+          error: new SubmissionError(`Webhook responded with ${response.status}`, {
+            status: response.status,
+            retryable: retryable
+          })
+        };
+      }
+
+      // Webhooks may legitimately answer with an empty body
+      let data = null;
+      try {
+        const text = await response.text();
+        data = text ? JSON.parse(text) : null;
+      } catch (error) {
+        // Non-JSON acknowledgement
+      }
+
+      return {
+        success: true,
+        data: data
+      };
+    }
+
+    /**
+     * Build flat JSON payload (field values keyed by name)
+     */
+    buildPayload(formData, context, legalConsent) {
+      return {
+        formGuid: this.formConfig.formGuid,
+        formName: this.formConfig.name,
+        submittedAt: Date.now(),
+        fields: { ...formData },
+        context: {
+          pageUri: context.pageUri || window.location.href,
+          pageName: context.pageName || document.title
+        },
+        legalConsent: {
+          consentToProcess: legalConsent.consentToProcess !== false,
+          legalBasis: legalConsent.legalBasis || null,
+          text: legalConsent.text || '',
+          communications: legalConsent.communications || [],
+          receipt: legalConsent.receipt || null
+        },
+        antiSpam: context.antiSpam || null
+      };
+    }
+  }
+
+  /**
+   * Dry-Run Form Submitter
+   * Records payloads locally without sending anything over the network
+   */
+  class DryRunFormSubmitter {
+    constructor(formConfig, options = {}) {
+      this.formConfig = formConfig;
+      this.log = options.log !== false;
+    }
+
+    async submit(formData, context = {}, legalConsent = {}) {
+      return this.send(this.buildPayload(formData, context, legalConsent));
+    }
+
+    async send(payload) {
+      DryRunFormSubmitter.records.push(payload);
+
+      if (this.log) {
+        console.log('[BRI dry-run] Form submission recorded:', payload);
+      }
+
+      return {
+        success: true,
+        data: { dryRun: true }
+      };
+    }
+
+    buildPayload(formData, context, legalConsent) {
+      return {
+        formGuid: this.formConfig.formGuid,
+        submittedAt: Date.now(),
+        fields: { ...formData },
+        context: context,
+        legalConsent: legalConsent
+      };
+    }
+  }
+
+  // Shared across instances so every form on the page can be inspected
+  DryRunFormSubmitter.records = [];
+
+  /**
+   * Submitter adapter registry
+   * Adapters are classes constructed with (formConfig, options) whose
+   * instances implement submit(formData, context, legalConsent) and
+   * resolve to { success, data } or { success: false, error, retryable }.
+   * Adapters that also implement buildPayload() and send(payload, key)
+   * get their failed submissions persisted in the retry queue.
+   */
+  const SUBMITTER_ADAPTERS = {
+    hubspot: HubSpotFormSubmitter,
+    webhook: WebhookFormSubmitter,
+    dryRun: DryRunFormSubmitter
+  };
+
+  function registerSubmitter(type, Adapter) {
+    if (!type || typeof Adapter !== 'function') {
+      throw new Error('registerSubmitter requires a type name and an adapter class');
+    }
+    SUBMITTER_ADAPTERS[type] = Adapter;
+  }
+
+  /**
+   * Resolve the submitter for a form config.
+   * A page-level window.BRI_FORM_SUBMITTER (e.g. a staging webhook) takes
+   * precedence over the per-form `submitter` setting; HubSpot is the default.
+   */
+  function resolveSubmitterOptions(config) {
+    // Data subject requests go to their own endpoint, whatever the page default
+    if (config.mode === 'dataSubjectRequest') {
+      const endpoint = window.BRI_DSR_ENDPOINT || CONFIG.gdprConfig.dataSubjectRequests.endpoint;
+      const setting = config.submitter || { type: 'webhook', url: endpoint };
+      return typeof setting === 'string' ? { type: setting } : setting;
+    }
+
+    const setting = window.BRI_FORM_SUBMITTER || config.submitter || 'hubspot';
+    const options = typeof setting === 'string' ? { type: setting } : setting;
+    return { ...options, type: options.type || 'hubspot' };
+  }
+
+  function instantiateSubmitter(formConfig, options) {
+    const Adapter = SUBMITTER_ADAPTERS[options.type];
+
+    if (!Adapter) {
+      throw new Error(`Unknown form submitter "${options.type}"`);
+    }
+
+    return new Adapter(formConfig, options);
+  }
+
+  function createSubmitter(config) {
+    return instantiateSubmitter(config.formConfig, resolveSubmitterOptions(config));
+  }
+
+  /**
+   * Spam Guard
+   * Flags likely bot submissions without bothering real visitors:
+   * honeypot field, minimum time-to-submit, per-browser rate limit,
+   * and an optional proof-of-work token for server-side verification.
+   */
+  class SpamGuard {
+    constructor(options = {}) {
+      const defaults = CONFIG.spamProtection;
+      this.options = {
+        ...defaults,
+        ...options,
+        rateLimit: { ...defaults.rateLimit, ...(options.rateLimit || {}) },
+        proofOfWork: { ...defaults.proofOfWork, ...(options.proofOfWork || {}) }
+      };
+    }
+
+    renderHoneypot(id) {
+      const name = escapeHTML(this.options.honeypotField);
+      return `
+        <div class="bri-hp-field" aria-hidden="true">
+          <label for="${id}">${name}</label>
+          <input type="text" id="${id}" name="${name}" tabindex="-1" autocomplete="off" />
+        </div>
+      `;
+    }
+
+    /**
+     * @param {string} honeypotValue - Value of the honeypot input
+     * @param {number} renderedAt - When the form was shown (ms)
+     * @param {boolean} [limits=true] - Apply the timing and rate checks too
+     * @param {string} [key] - Form and answers (idempotency key) for the rate limit
+     * @returns {string[]} Flags; empty when the submission looks human
+     */
+    check(honeypotValue, renderedAt, limits = true, key = '') {
+      const flags = [];
+
+      if (honeypotValue) {
+        flags.push('honeypot');
+      }
+      if (limits && Date.now() - renderedAt < this.options.minSubmitMs) {
+        flags.push('too_fast');
+      }
+      if (limits && this.isRateLimited(key)) {
+        flags.push('rate_limited');
+      }
+
+      return flags;
+    }
+
+    getSubmissionLog() {
+      const { storageKey, windowMs } = this.options.rateLimit;
+      try {
+        const log = JSON.parse(localStorage.getItem(storageKey)) || [];
+        return log.filter(entry => entry && Date.now() - entry.at < windowMs);
+      } catch (error) {
+        return [];
+      }
+    }
+
+    isRateLimited(key) {
+      return this.getSubmissionLog().filter(entry => entry.key === key).length >= this.options.rateLimit.max;
+    }
+
+    recordSubmission(key) {
+      try {
+        const log = this.getSubmissionLog().concat({ key: key, at: Date.now() });
+        localStorage.setItem(this.options.rateLimit.storageKey, JSON.stringify(log));
+      } catch (error) {
+        // Storage disabled; rate limit simply doesn't apply
+      }
+    }
+
+    /**
+     * Find a nonce so that fnv1a(challenge + nonce) has `difficulty`
+     * leading zero bits. Returns null when disabled.
+     */
+    createProofOfWork(formGuid) {
+      const { enabled, difficulty } = this.options.proofOfWork;
+      if (!enabled) {
+        return null;
+      }
+
+      const challenge = `${formGuid}:${Date.now()}:${Math.random().toString(36).slice(2)}`;
+      const limit = Math.pow(2, 32 - difficulty);
+
+      // Bounded so a misconfigured difficulty can't hang the page
+      for (let nonce = 0; nonce < 1 << 24; nonce++) {
+        if (parseInt(fnv1a(challenge + nonce), 16) < limit) {
+          return { algorithm: 'fnv1a-32', challenge: challenge, nonce: nonce, difficulty: difficulty };
+        }
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Submission Retry Queue
+   * Persists failed submissions in localStorage and replays them with
+   * exponential backoff once connectivity returns. Entries keep the
+   * payload exactly as built (original submittedAt, consent text, context).
+   * Every tab runs a queue over the same storage, so an entry is claimed
+   * before it is sent.
+   */
+  class SubmissionRetryQueue {
+    constructor(options) {
+      this.options = options;
+      this.timer = null;
+      this.flushing = false;
+    }
+
+    load() {
+      try {
+        return JSON.parse(localStorage.getItem(this.options.storageKey)) || [];
+      } catch (error) {
+        return [];
+      }
+    }
+
+    save(entries) {
+      try {
+        if (entries.length === 0) {
+          localStorage.removeItem(this.options.storageKey);
+        } else {
+          localStorage.setItem(this.options.storageKey, JSON.stringify(entries));
+        }
+        return true;
+      } catch (error) {
+        // Storage full or disabled (private mode)
+        return false;
+      }
+    }
+
+    has(key) {
+      return this.load().some(entry => entry.key === key);
+    }
+
+    /**
+     * Queue a submission; returns false if it could not be persisted
+     * @param {Object} entry - { key, formConfig, submitter, payload }
+     */
+    enqueue(entry) {
+      const entries = this.load();
+
+      if (!entries.some(existing => existing.key === entry.key)) {
+        entries.push({
+          ...entry,
+          attempts: 0,
+          queuedAt: Date.now(),
+          nextAttemptAt: Date.now() + this.options.baseDelayMs
+        });
+
+        if (!this.save(entries)) {
+          return false;
+        }
+      }
+
+      this.schedule();
+      return true;
+    }
+
+    /**
+     * Mark an entry as in flight for this tab. localStorage has no
+     * compare-and-set, so the claim is re-read to make sure another tab did
+     * not claim it at the same time. HubSpot ignores the Idempotency-Key, so
+     * this is what stops two tabs from sending the same lead.
+     * @returns {Object|null} The claimed entry, or null if it is gone or taken
+     */
+    claim(key) {
+      const token = Math.random().toString(36).slice(2);
+      const entries = this.load();
+      const entry = entries.find(existing => existing.key === key);
+
+      if (!entry || entry.inFlightUntil > Date.now()) {
+        return null;
+      }
+      entry.inFlightUntil = Date.now() + this.options.claimMs;
+      entry.claimedBy = token;
+
+      if (!this.save(entries)) {
+        return null;
+      }
+      const claimed = this.load().find(existing => existing.key === key);
+      return claimed && claimed.claimedBy === token ? claimed : null;
+    }
+
+    getDelay(attempts) {
+      return Math.min(this.options.baseDelayMs * Math.pow(2, attempts), this.options.maxDelayMs);
+    }
+
+    /**
+     * Retry every due entry. Pass force = true to ignore backoff
+     * (used when the browser reports it is back online).
+     */
+    async flush(force = false) {
+      if (this.flushing || navigator.onLine === false) {
+        return;
+      }
+      this.flushing = true;
+
+      const now = Date.now();
+      const finished = new Set();
+      const updated = new Map();
+
+      for (const queued of this.load()) {
+        if (now - queued.queuedAt > this.options.maxAgeMs) {
+          finished.add(queued.key);
+          continue;
+        }
+        if (!force && queued.nextAttemptAt > now) {
+          continue;
+        }
+
+        // Taken by another tab, or already sent and removed by it
+        const entry = this.claim(queued.key);
+        if (!entry) {
+          continue;
+        }
+
+        let result;
+        try {
+          const submitter = instantiateSubmitter(entry.formConfig, entry.submitter);
+          result = await submitter.send(entry.payload, entry.key);
+        } catch (error) {
+          // Adapter no longer registered on this page
+          finished.add(entry.key);
+          continue;
+        }
+
+        const attempts = entry.attempts + 1;
+        if (result.success || !result.retryable || attempts >= this.options.maxAttempts) {
+          finished.add(entry.key);
+        } else {
+          updated.set(entry.key, {
+            ...entry,
+            attempts: attempts,
+            nextAttemptAt: Date.now() + this.getDelay(attempts),
+            inFlightUntil: 0,
+            claimedBy: null
+          });
+        }
+      }
+
+      // Re-read so entries queued while we were sending are kept
+      this.save(this.load()
+        .filter(entry => !finished.has(entry.key))
+        .map(entry => updated.get(entry.key) || entry));
+
+      this.flushing = false;
+      this.schedule();
+    }
+
+    schedule() {
+      clearTimeout(this.timer);
+
+      const entries = this.load();
+      if (entries.length === 0) {
+        return;
+      }
+
+      // Entries another tab is sending are retried once its claim expires
+      const nextAttemptAt = Math.min(...entries.map(entry => Math.max(entry.nextAttemptAt, entry.inFlightUntil || 0)));
+      this.timer = setTimeout(() => this.flush(), Math.max(nextAttemptAt - Date.now(), 0));
+    }
+
+    start() {
+      window.addEventListener('online', () => this.flush(true));
+      this.flush();
+    }
+  }
+
+  const submissionQueue = new SubmissionRetryQueue(CONFIG.retryQueue);
+
+  /**
+   * Custom Form Component
+   * Renders and manages a GDPR-compliant form
+   */
+  class BRICustomForm {
     constructor(config) {
+      // A missing formConfig is reported by the schema check, not thrown here
+      const formConfig = config.formConfig || {};
       this.config = config;
-      this.submitter = new HubSpotFormSubmitter(config.formConfig);
+      this.configProblems = FormConfigSchema.report(formConfig.formGuid || 'unnamed', config);
+      this.locale = normalizeLocale(config.locale) || detectLocale();
+      this.dataSubjectRequest = config.mode === 'dataSubjectRequest';
+      this.submitterOptions = resolveSubmitterOptions(config);
+      // A data subject request form without an endpoint is reported by the
+      // schema check and renders nothing
+      this.submitter = this.dataSubjectRequest && this.submitterOptions.type === 'webhook' && !this.submitterOptions.url
+        ? null
+        : instantiateSubmitter(formConfig, this.submitterOptions);
       this.formData = {};
       this.consentGiven = false;
+      this.submitting = false;
+      this.fieldErrors = {};
+      this.listeners = {};
+      this.spamGuard = new SpamGuard(config.spamProtection);
+
+      // Every element ID is scoped to this instance
+      const baseId = `bri-form-${toIdPart(formConfig.formGuid || 'unnamed')}`;
+      FORM_INSTANCE_COUNTS[baseId] = (FORM_INSTANCE_COUNTS[baseId] || 0) + 1;
+      this.formId = FORM_INSTANCE_COUNTS[baseId] === 1 ? baseId : `${baseId}-${FORM_INSTANCE_COUNTS[baseId]}`;
+    }
+
+    /**
+     * Register a custom submitter adapter (see SUBMITTER_ADAPTERS)
+     */
+    static registerSubmitter(type, Adapter) {
+      registerSubmitter(type, Adapter);
+    }
+
+    /**
+     * Consent receipts stored in this browser (oldest first)
+     */
+    static getConsentReceipts() {
+      return ConsentRecorder.getReceipts();
+    }
+
+    /**
+     * Check a set of named configs (e.g. BRI_FORM_CONFIGS) and warn about
+     * problems. Returns { name: [problems] } for configs with problems.
+     */
+    static registerConfigs(configs) {
+      const problems = Object.keys(configs).reduce((result, name) => {
+        const configProblems = FormConfigSchema.report(name, configs[name]);
+        return configProblems.length > 0 ? { ...result, [name]: configProblems } : result;
+      }, {});
+
+      // Containers that were waiting for these configs
+      if (FormAutoMounter.observer) {
+        FormAutoMounter.mountAll(document);
+      }
+      return problems;
+    }
+
+    /**
+     * Problems with a single config, without warning (empty when valid)
+     */
+    static validateConfig(config) {
+      return FormConfigSchema.check(config);
+    }
+
+    /**
+     * Add or replace downloadable resources (see ResourceCatalogue)
+     */
+    static registerResources(resources) {
+      ResourceCatalogue.register(resources);
+    }
+
+    /**
+     * Mount every data-bri-form container inside root that has no form yet
+     */
+    static mount(root = document) {
+      return FormAutoMounter.mountAll(root);
+    }
+
+    /**
+     * The form mounted into a container by auto-mounting, if any
+     */
+    static getMounted(container) {
+      return FormAutoMounter.forms.get(container) || null;
+    }
+
+    /**
+     * Add or extend a locale bundle, e.g. registerLocale('fr', { 'form.submit': 'Envoyer' })
+     */
+    static registerLocale(locale, messages) {
+      I18N[locale] = { ...(I18N[locale] || {}), ...messages };
+    }
+
+    /**
+     * Translate a bundle key in this form's locale
+     */
+    t(key, params = {}) {
+      return translate(this.locale, key, {
+        contactEmail: CONFIG.gdprConfig.contactEmail,
+        privacyPolicyUrl: CONFIG.gdprConfig.privacyPolicyUrl,
+        ...params
+      });
+    }
+
+    /**
+     * Resolve a (possibly per-locale) config value in this form's locale
+     */
+    text(value) {
+      return localize(value, this.locale);
+    }
+
+    /**
+     * Subscribe to a lifecycle event:
+     *   render, fieldChange, validationFailed, beforeSubmit,
+     *   submitSuccess, submitError, resourceDownload, reset, destroy
+     * Each is also dispatched on the container as a DOM CustomEvent
+     * (bri-form:render, bri-form:field-change, ...) with the same detail.
+     *
+     * beforeSubmit handlers may be async; they can edit detail.data and
+     * detail.context, or call detail.cancel() (or preventDefault() on the
+     * DOM event) to stop the submission.
+     */
+    on(eventName, handler) {
+      (this.listeners[eventName] = this.listeners[eventName] || []).push(handler);
+      return this;
+    }
+
+    off(eventName, handler) {
+      this.listeners[eventName] = (this.listeners[eventName] || []).filter(listener => listener !== handler);
+      return this;
+    }
+
+    /**
+     * Run handlers in order, then dispatch the DOM event.
+     * Resolves false when a handler or DOM listener cancelled the event.
+     */
+    async emit(eventName, detail = {}) {
+      let cancelled = false;
+      detail.form = this;
+      detail.cancel = () => {
+        cancelled = true;
+      };
+
+      for (const handler of (this.listeners[eventName] || []).slice()) {
+        try {
+          await handler(detail);
+        } catch (error) {
+          // A broken integration must never break the form itself
+          console.error(`BRICustomForm ${eventName} handler failed:`, error);
+        }
+      }
+
+      if (this.container) {
+        const domEvent = new CustomEvent(`bri-form:${eventName.replace(/[A-Z]/g, c => '-' + c.toLowerCase())}`, {
+          detail: detail,
+          bubbles: true,
+          cancelable: true
+        });
+        if (!this.container.dispatchEvent(domEvent)) {
+          cancelled = true;
+        }
+      }
+
+      return !cancelled;
+    }
+
+    /**
+     * Instance-scoped element ID for a field (or other form part)
+     */
+    fieldId(name) {
+      return `${this.formId}-${toIdPart(name)}`;
+    }
+
+    /**
+     * Look up an element of this form by its (scoped) ID
+     */
+    getElement(id) {
+      return this.root ? this.root.querySelector(`#${id}`) : null;
+    }
+
+    /**
+     * All controls with the given name (radio/checkbox groups have several)
+     */
+    getInputs(form, name) {
+      return Array.from(form.elements).filter(element => element.name === name);
+    }
+
+    getFieldWrapper(form, name) {
+      return Array.from(form.querySelectorAll('[data-bri-field]'))
+        .find(element => element.getAttribute('data-bri-field') === name) || null;
     }
 
     /**
-     * Render form HTML
+     * Render form HTML. With config.shadowDom the form is mounted in an open
+     * shadow root so page CSS and form CSS cannot affect each other.
      */
     render(containerElement) {
-      const formId = `bri-form-${this.config.formConfig.formGuid}`;
+      const formId = this.formId;
 
-      containerElement.innerHTML = `
-        <form id="${formId}" class="bri-custom-form" novalidate>
+      // Strict mode: better no form than one that can never submit
+      const strict = this.config.strict ?? CONFIG.schemaValidation.strict;
+      if (strict && this.configProblems.length > 0) {
+        console.error(`BRICustomForm: not rendering "${this.config.formConfig?.formGuid || 'unnamed'}" (strict mode):\n- ${this.configProblems.join('\n- ')}`);
+        return;
+      }
+
+      if (!this.submitter) {
+        console.error(`BRICustomForm: not rendering "${this.config.formConfig?.formGuid || 'unnamed'}": data subject request forms need an endpoint`);
+        return;
+      }
+
+      // Re-rendering replaces the previous mount instead of stacking on it
+      if (this.root) {
+        this.unmount();
+      }
+
+      this.container = containerElement;
+      this.applyTheme(containerElement);
+      this.root = this.config.shadowDom
+        ? (containerElement.shadowRoot || containerElement.attachShadow({ mode: 'open' }))
+        : containerElement;
+
+      this.root.innerHTML = `
+        <form id="${formId}" class="bri-custom-form" lang="${this.locale}" novalidate>
           ${this.renderFields()}
+          ${this.spamGuard.renderHoneypot(this.fieldId('hp'))}
           ${this.renderGDPRConsent()}
           ${this.renderSubmitButton()}
           ${this.renderPrivacyNotice()}
         </form>
-        <div id="${formId}-success" class="bri-form-success" style="display: none;">
-          ${this.config.successMessage || 'Thank you! We\'ll be in touch soon.'}
+        <div id="${formId}-success" class="bri-form-success" role="status" tabindex="-1" style="display: none;">
+          ${this.renderMessage(this.getSuccessTemplate())}
+        </div>
+        <div id="${formId}-queued" class="bri-form-queued" role="status" tabindex="-1" style="display: none;">
+          ${this.renderMessage(this.getQueuedTemplate())}
         </div>
-        <div id="${formId}-error" class="bri-form-error" style="display: none;"></div>
+        <div id="${formId}-error" class="bri-form-error" role="alert" style="display: none;"></div>
       `;
 
+      this.renderedAt = Date.now();
+      this.domListeners = new AbortController();
       this.attachEventListeners(formId);
-      this.applyStyles(containerElement);
+      this.applyConditions(this.getElement(formId));
+      this.applyStyles(this.root);
+
+      this.emit('render', { container: containerElement });
+    }
+
+    /**
+     * Current field values (config fields only, no consent or honeypot inputs)
+     */
+    getValues() {
+      const form = this.getElement(this.formId);
+      if (!form) return {};
+
+      const values = this.getFieldValues(form);
+      const fieldNames = this.config.fields.map(field => field.name);
+      return Object.keys(values)
+        .filter(key => fieldNames.includes(key))
+        .reduce((result, key) => ({ ...result, [key]: values[key] }), {});
+    }
+
+    /**
+     * Prefill fields by name. Checkbox groups accept an array or a
+     * ';'-joined string; unknown names are ignored.
+     */
+    setValues(values = {}) {
+      const form = this.getElement(this.formId);
+      if (!form) return this;
+
+      this.config.fields
+        .filter(field => field.name in values)
+        .forEach(field => {
+          const value = values[field.name];
+          const selected = (Array.isArray(value) ? value : String(value ?? '').split(';')).map(String);
+
+          this.getInputs(form, field.name).forEach(input => {
+            if (input.type === 'radio' || input.type === 'checkbox') {
+              input.checked = selected.includes(input.value);
+            } else {
+              input.value = value ?? '';
+            }
+          });
+        });
+
+      this.applyConditions(form);
+      return this;
+    }
+
+    /**
+     * Clear values, errors and messages and show the form again
+     * (e.g. to collect another submission after success)
+     */
+    reset() {
+      const form = this.getElement(this.formId);
+      if (!form) return this;
+
+      // Native reset so the 'reset' lifecycle event fires as for a reset button
+      form.reset();
+
+      this.consentGiven = false;
+      this.fieldErrors = {};
+      this.requestReference = null;
+      this.config.fields.forEach(field => this.setFieldError(form, field.name, ''));
+      this.setConsentError('');
+
+      ['success', 'queued', 'error'].forEach(suffix => {
+        const div = this.getElement(`${this.formId}-${suffix}`);
+        if (div) div.style.display = 'none';
+      });
+      form.style.display = '';
+
+      const submitBtn = form.querySelector('.bri-submit-btn');
+      submitBtn.textContent = this.text(this.config.buttonText) || this.t('form.submit');
+
+      this.renderedAt = Date.now();
+      this.disable(false);
+      return this;
+    }
+
+    /**
+     * Disable (or re-enable) every control, e.g. while a modal animates out
+     */
+    disable(disabled = true) {
+      const form = this.getElement(this.formId);
+      if (!form) return this;
+
+      Array.from(form.elements).forEach(element => {
+        element.disabled = disabled;
+      });
+
+      // Conditionally hidden fields stay disabled
+      if (!disabled) {
+        this.applyConditions(form);
+      }
+      return this;
+    }
+
+    /**
+     * Remove the form, its DOM listeners and its share of the injected styles.
+     * Lifecycle handlers are dropped after the 'destroy' event.
+     */
+    destroy() {
+      // Let mount() put a fresh form into an auto-mounted container
+      if (FormAutoMounter.forms.get(this.container) === this) {
+        FormAutoMounter.forms.delete(this.container);
+      }
+      if (!this.root) return;
+
+      this.unmount();
+      this.emit('destroy', {});
+      this.listeners = {};
+    }
+
+    unmount() {
+      if (this.domListeners) {
+        this.domListeners.abort();
+        this.domListeners = null;
+      }
+      this.releaseStyles();
+      this.removeTheme();
+      this.root.innerHTML = '';
+      this.root = null;
+    }
+
+    getSuccessTemplate() {
+      return this.text(this.config.successMessage)
+        || this.t(this.dataSubjectRequest ? 'dsr.success' : 'form.success');
+    }
+
+    /**
+     * Queued message: "offline" only when the browser says so; a 429/5xx
+     * while online gets neutral wording
+     */
+    getQueuedTemplate() {
+      const offline = navigator.onLine === false;
+      return this.text(this.config.queuedMessage)
+        || this.t(this.dataSubjectRequest ? 'dsr.queued' : offline ? 'form.queued' : 'form.queuedRetry');
+    }
+
+    /**
+     * Sanitised rich-text message; {reference} is replaced (escaped)
+     */
+    renderMessage(template, params = {}) {
+      return sanitizeHTML(String(template).replace(/\{reference\}/g, escapeHTML(params.reference || '')));
+    }
+
+    /**
+     * Download links for the success screen. Same-origin files download
+     * directly; other hosts open in a new tab (download is ignored there).
+     * Clicks count as resource downloads, not as outbound link clicks.
+     */
+    renderResources(resources) {
+      if (resources.length === 0) {
+        return '';
+      }
+
+      return `
+        <div class="bri-resources">
+          <p class="bri-resources-title">${escapeHTML(this.t('resources.title'))}</p>
+          <ul>
+            ${resources.map(resource => {
+              const external = new URL(resource.url, window.location.href).origin !== window.location.origin;
+              const meta = [resource.format, resource.size].filter(Boolean).join(', ');
+              return `
+                <li>
+                  <a class="bri-resource-link" href="${escapeHTML(resource.url)}" data-bri-resource="${escapeHTML(resource.id)}" data-analytics-ignore
+                     ${external ? 'target="_blank" rel="noopener noreferrer"' : 'download'}>${escapeHTML(this.text(resource.title) || resource.id)}</a>
+                  ${meta ? `<span class="bri-resource-meta">${escapeHTML(meta)}</span>` : ''}
+                </li>
+              `;
+            }).join('')}
+          </ul>
+        </div>
+      `;
     }
 
     /**
@@ -257,6 +2062,16 @@
             return this.renderTextField(field);
           case 'select':
             return this.renderSelectField(field);
+          case 'textarea':
+            return this.renderTextareaField(field);
+          case 'radio':
+            return this.renderRadioField(field);
+          case 'checkbox':
+            return this.renderCheckboxGroupField(field);
+          case 'tel':
+            return this.renderPhoneField(field);
+          case 'number':
+            return this.renderNumberField(field);
           case 'hidden':
             return this.renderHiddenField(field);
           default:
@@ -267,92 +2082,276 @@
 
     renderEmailField(field) {
       return `
-        <div class="bri-form-field">
-          <label for="${field.name}">
-            ${field.label}${field.required ? ' <span class="required">*</span>' : ''}
+        <div class="bri-form-field" data-bri-field="${escapeHTML(field.name)}">
+          <label for="${this.fieldId(field.name)}">
+            ${escapeHTML(this.text(field.label))}${this.renderRequiredMarker(field)}
           </label>
           <input
             type="email"
-            id="${field.name}"
-            name="${field.name}"
-            placeholder="${field.placeholder || ''}"
+            id="${this.fieldId(field.name)}"
+            name="${escapeHTML(field.name)}"
+            aria-describedby="${this.fieldId(field.name)}-error"
+            placeholder="${escapeHTML(this.text(field.placeholder))}"
             ${field.required ? 'required' : ''}
             autocomplete="email"
           />
-          <span class="bri-field-error" id="${field.name}-error"></span>
+          <span class="bri-field-error" id="${this.fieldId(field.name)}-error" aria-live="polite"></span>
+        </div>
+      `;
+    }
+
+    renderTextField(field) {
+      return `
+        <div class="bri-form-field" data-bri-field="${escapeHTML(field.name)}">
+          <label for="${this.fieldId(field.name)}">
+            ${escapeHTML(this.text(field.label))}${this.renderRequiredMarker(field)}
+          </label>
+          <input
+            type="text"
+            id="${this.fieldId(field.name)}"
+            name="${escapeHTML(field.name)}"
+            aria-describedby="${this.fieldId(field.name)}-error"
+            placeholder="${escapeHTML(this.text(field.placeholder))}"
+            ${field.required ? 'required' : ''}
+            autocomplete="${escapeHTML(field.autocomplete || 'off')}"
+          />
+          <span class="bri-field-error" id="${this.fieldId(field.name)}-error" aria-live="polite"></span>
+        </div>
+      `;
+    }
+
+    renderSelectField(field) {
+      return `
+        <div class="bri-form-field" data-bri-field="${escapeHTML(field.name)}">
+          <label for="${this.fieldId(field.name)}">
+            ${escapeHTML(this.text(field.label))}${this.renderRequiredMarker(field)}
+          </label>
+          <select
+            id="${this.fieldId(field.name)}"
+            name="${escapeHTML(field.name)}"
+            aria-describedby="${this.fieldId(field.name)}-error"
+            ${field.required ? 'required' : ''}
+          >
+            <option value="">${escapeHTML(this.t('form.select'))}</option>
+            ${field.options.map(opt => `<option value="${escapeHTML(opt.value)}">${escapeHTML(this.text(opt.label))}</option>`).join('')}
+          </select>
+          <span class="bri-field-error" id="${this.fieldId(field.name)}-error" aria-live="polite"></span>
         </div>
       `;
     }
 
-    renderTextField(field) {
+    renderTextareaField(field) {
+      return `
+        <div class="bri-form-field" data-bri-field="${escapeHTML(field.name)}">
+          <label for="${this.fieldId(field.name)}">
+            ${escapeHTML(this.text(field.label))}${this.renderRequiredMarker(field)}
+          </label>
+          <textarea
+            id="${this.fieldId(field.name)}"
+            name="${escapeHTML(field.name)}"
+            aria-describedby="${this.fieldId(field.name)}-error"
+            rows="${escapeHTML(field.rows || 4)}"
+            placeholder="${escapeHTML(this.text(field.placeholder))}"
+            ${field.maxLength ? `maxlength="${escapeHTML(field.maxLength)}"` : ''}
+            ${field.required ? 'required' : ''}
+          ></textarea>
+          <span class="bri-field-error" id="${this.fieldId(field.name)}-error" aria-live="polite"></span>
+        </div>
+      `;
+    }
+
+    renderRadioField(field) {
+      return `
+        <fieldset class="bri-form-field bri-choice-group" data-bri-field="${escapeHTML(field.name)}">
+          <legend>
+            ${escapeHTML(this.text(field.label))}${this.renderRequiredMarker(field)}
+          </legend>
+          ${field.options.map((opt, index) => `
+            <label class="bri-choice-label" for="${this.fieldId(field.name)}-${index}">
+              <input
+                type="radio"
+                id="${this.fieldId(field.name)}-${index}"
+                name="${escapeHTML(field.name)}"
+                aria-describedby="${this.fieldId(field.name)}-error"
+                value="${escapeHTML(opt.value)}"
+                ${field.required ? 'required' : ''}
+              />
+              <span>${escapeHTML(this.text(opt.label))}</span>
+            </label>
+          `).join('')}
+          <span class="bri-field-error" id="${this.fieldId(field.name)}-error" aria-live="polite"></span>
+        </fieldset>
+      `;
+    }
+
+    /**
+     * Multi-select checkbox group; selected values are submitted
+     * semicolon-separated (HubSpot multiple checkboxes format)
+     */
+    renderCheckboxGroupField(field) {
+      return `
+        <fieldset class="bri-form-field bri-choice-group" data-bri-field="${escapeHTML(field.name)}">
+          <legend>
+            ${escapeHTML(this.text(field.label))}${this.renderRequiredMarker(field)}
+          </legend>
+          ${field.options.map((opt, index) => `
+            <label class="bri-choice-label" for="${this.fieldId(field.name)}-${index}">
+              <input
+                type="checkbox"
+                id="${this.fieldId(field.name)}-${index}"
+                name="${escapeHTML(field.name)}"
+                aria-describedby="${this.fieldId(field.name)}-error"
+                value="${escapeHTML(opt.value)}"
+              />
+              <span>${escapeHTML(this.text(opt.label))}</span>
+            </label>
+          `).join('')}
+          <span class="bri-field-error" id="${this.fieldId(field.name)}-error" aria-live="polite"></span>
+        </fieldset>
+      `;
+    }
+
+    renderPhoneField(field) {
       return `
-        <div class="bri-form-field">
-          <label for="${field.name}">
-            ${field.label}${field.required ? ' <span class="required">*</span>' : ''}
+        <div class="bri-form-field" data-bri-field="${escapeHTML(field.name)}">
+          <label for="${this.fieldId(field.name)}">
+            ${escapeHTML(this.text(field.label))}${this.renderRequiredMarker(field)}
           </label>
           <input
-            type="text"
-            id="${field.name}"
-            name="${field.name}"
-            placeholder="${field.placeholder || ''}"
+            type="tel"
+            id="${this.fieldId(field.name)}"
+            name="${escapeHTML(field.name)}"
+            aria-describedby="${this.fieldId(field.name)}-error"
+            placeholder="${escapeHTML(this.text(field.placeholder) || '+49 151 12345678')}"
             ${field.required ? 'required' : ''}
-            autocomplete="${field.autocomplete || 'off'}"
+            autocomplete="${escapeHTML(field.autocomplete || 'tel')}"
+            inputmode="tel"
           />
-          <span class="bri-field-error" id="${field.name}-error"></span>
+          <span class="bri-field-error" id="${this.fieldId(field.name)}-error" aria-live="polite"></span>
         </div>
       `;
     }
 
-    renderSelectField(field) {
+    renderNumberField(field) {
       return `
-        <div class="bri-form-field">
-          <label for="${field.name}">
-            ${field.label}${field.required ? ' <span class="required">*</span>' : ''}
+        <div class="bri-form-field" data-bri-field="${escapeHTML(field.name)}">
+          <label for="${this.fieldId(field.name)}">
+            ${escapeHTML(this.text(field.label))}${this.renderRequiredMarker(field)}
           </label>
-          <select
-            id="${field.name}"
-            name="${field.name}"
+          <input
+            type="number"
+            id="${this.fieldId(field.name)}"
+            name="${escapeHTML(field.name)}"
+            aria-describedby="${this.fieldId(field.name)}-error"
+            placeholder="${escapeHTML(this.text(field.placeholder))}"
+            ${field.min != null ? `min="${escapeHTML(field.min)}"` : ''}
+            ${field.max != null ? `max="${escapeHTML(field.max)}"` : ''}
+            ${field.step != null ? `step="${escapeHTML(field.step)}"` : ''}
             ${field.required ? 'required' : ''}
-          >
-            <option value="">Select...</option>
-            ${field.options.map(opt => `<option value="${opt.value}">${opt.label}</option>`).join('')}
-          </select>
-          <span class="bri-field-error" id="${field.name}-error"></span>
+          />
+          <span class="bri-field-error" id="${this.fieldId(field.name)}-error" aria-live="polite"></span>
         </div>
       `;
     }
 
     renderHiddenField(field) {
-      return `<input type="hidden" name="${field.name}" value="${field.value || ''}" />`;
+      return `<input type="hidden" name="${escapeHTML(field.name)}" value="${escapeHTML(field.value)}" data-bri-field="${escapeHTML(field.name)}" />`;
+    }
+
+    /**
+     * Required marker; rendered hidden for fields that are only
+     * conditionally required so applyConditions() can toggle it
+     */
+    renderRequiredMarker(field) {
+      // The required attribute is what screen readers announce
+      if (field.required) {
+        return ' <span class="required" aria-hidden="true">*</span>';
+      }
+      return field.requiredWhen ? ' <span class="required" aria-hidden="true" hidden>*</span>' : '';
     }
 
     /**
      * Render GDPR consent checkbox (REQUIRED)
      */
     renderGDPRConsent() {
+      // Handled under a legal obligation, not consent: no checkboxes at all
+      if (this.dataSubjectRequest) {
+        return `
+          <div class="bri-form-field bri-dsr-notice">
+            <p class="checkbox-text">${escapeHTML(this.t('dsr.notice'))}</p>
+          </div>
+        `;
+      }
+
       return `
         <div class="bri-form-field bri-gdpr-consent">
           <label class="bri-checkbox-label">
             <input
               type="checkbox"
-              id="gdpr-consent"
+              id="${this.fieldId('gdpr-consent')}"
               name="gdpr_consent"
+              aria-describedby="${this.fieldId('gdpr-consent')}-error"
               required
             />
             <span class="checkbox-text">
-              I agree to allow Big Rock Intelligence to store and process my personal data for the purpose of responding to my inquiry and providing information about AI governance and EU AI Act compliance services. I also consent to receive marketing communications, which I can unsubscribe from at any time. *
+              ${escapeHTML(this.t('consent.checkbox'))} <span class="required" aria-hidden="true">*</span>
             </span>
           </label>
-          <span class="bri-field-error" id="gdpr-consent-error"></span>
+          <span class="bri-field-error" id="${this.fieldId('gdpr-consent')}-error" aria-live="polite"></span>
+          ${this.getSubscriptionTypes().map(type => `
+            <label class="bri-checkbox-label bri-subscription-consent">
+              <input
+                type="checkbox"
+                id="${this.fieldId(`gdpr-subscription-${type.key}`)}"
+                name="gdpr_subscription_${escapeHTML(type.key)}"
+              />
+              <span class="checkbox-text">
+                ${escapeHTML(this.text(type.label))}
+              </span>
+            </label>
+          `).join('')}
         </div>
       `;
     }
 
+    /**
+     * Subscription types offered by this form. config.subscriptions lists
+     * keys of CONFIG.gdprConfig.subscriptionTypes; defaults to all of them.
+     */
+    getSubscriptionTypes() {
+      const types = CONFIG.gdprConfig.subscriptionTypes;
+      const keys = this.config.subscriptions || Object.keys(types);
+      return keys
+        .filter(key => types[key])
+        .map(key => ({ key: key, ...types[key] }));
+    }
+
+    /**
+     * Communication consents exactly as ticked, one per offered subscription type
+     */
+    getCommunicationConsents(form) {
+      return this.getSubscriptionTypes().map(type => {
+        const checkbox = this.getElement(this.fieldId(`gdpr-subscription-${type.key}`));
+        return {
+          value: Boolean(checkbox && checkbox.checked),
+          subscriptionTypeId: type.id,
+          text: this.text(type.label)
+        };
+      });
+    }
+
+    /**
+     * Submit button. config.buttonStyle picks a variant (primary, secondary,
+     * outline); config.buttonColor overrides the theme colour for this form only.
+     */
     renderSubmitButton() {
+      const variant = ['secondary', 'outline'].includes(this.config.buttonStyle) ? ` bri-submit-btn--${this.config.buttonStyle}` : '';
+      const color = safeColor(this.config.buttonColor, null);
+
       return `
         <div class="bri-form-field">
-          <button type="submit" class="bri-submit-btn" style="background-color: ${this.config.buttonColor || '#dab86e'};">
-            ${this.config.buttonText || 'Submit'}
+          <button type="submit" class="bri-submit-btn${variant}"${color ? ` style="--bri-button-background: ${color};"` : ''}>
+            ${escapeHTML(this.text(this.config.buttonText) || this.t('form.submit'))}
           </button>
         </div>
       `;
@@ -364,12 +2363,8 @@
     renderPrivacyNotice() {
       return `
         <div class="bri-privacy-notice">
-          <p style="font-size: 0.85rem; color: #718096; line-height: 1.5;">
-            By submitting this form, your data will be processed by Big Rock Intelligence (Frankfurt am Main, Germany)
-            and stored securely in HubSpot's EU1 data center in accordance with GDPR.
-            You have the right to access, rectify, or delete your data at any time by contacting
-            <a href="mailto:james@bigrock-intel.ai">james@bigrock-intel.ai</a>.
-            Read our <a href="${CONFIG.gdprConfig.privacyPolicyUrl}" target="_blank">Privacy Policy</a> for more information.
+          <p>
+            ${sanitizeHTML(this.t('privacy.notice'))}
           </p>
         </div>
       `;
@@ -379,235 +2374,985 @@
      * Attach event listeners
      */
     attachEventListeners(formId) {
-      const form = document.getElementById(formId);
+      const form = this.getElement(formId);
       if (!form) return;
 
-      form.addEventListener('submit', (e) => this.handleSubmit(e, formId));
+      // All listeners are removed together on destroy()
+      const options = { signal: this.domListeners.signal };
 
-      // Real-time email validation
-      const emailField = form.querySelector('input[type="email"]');
-      if (emailField) {
-        emailField.addEventListener('blur', () => this.validateEmail(emailField));
+      form.addEventListener('submit', (e) => this.handleSubmit(e, formId), options);
+
+      // Lifecycle: field changes and native form resets
+      const fieldNames = this.config.fields.map(field => field.name);
+      form.addEventListener('change', (e) => {
+        if (fieldNames.includes(e.target.name)) {
+          const values = this.getFieldValues(form);
+          this.emit('fieldChange', { name: e.target.name, value: values[e.target.name], values: values });
+        }
+      }, options);
+      form.addEventListener('reset', () => this.emit('reset', {}), options);
+
+      // Re-evaluate showWhen / requiredWhen rules as values change
+      if (this.config.fields.some(field => field.showWhen || field.requiredWhen)) {
+        form.addEventListener('input', () => this.applyConditions(form), options);
+        form.addEventListener('change', () => this.applyConditions(form), options);
       }
 
+      // Real-time validation on blur (on change for radio/checkbox groups)
+      this.config.fields
+        .filter(field => field.type !== 'hidden')
+        .forEach(field => {
+          const eventName = field.type === 'radio' || field.type === 'checkbox' ? 'change' : 'blur';
+          this.getInputs(form, field.name).forEach(input => {
+            input.addEventListener(eventName, () => {
+              if (!input.disabled) {
+                this.validateField(form, field);
+              }
+            }, options);
+          });
+        });
+
+      // Downloads on the success screen
+      this.root.addEventListener('click', (e) => {
+        const link = e.target.closest && e.target.closest('[data-bri-resource]');
+        if (link) {
+          this.trackResourceDownload(link.getAttribute('data-bri-resource'), link.getAttribute('href'));
+        }
+      }, options);
+
       // Track consent checkbox
-      const consentCheckbox = form.querySelector('#gdpr-consent');
+      const consentCheckbox = this.getElement(this.fieldId('gdpr-consent'));
       if (consentCheckbox) {
         consentCheckbox.addEventListener('change', (e) => {
           this.consentGiven = e.target.checked;
-        });
+        }, options);
       }
     }
 
     /**
-     * Handle form submission
+     * Handle form submission. Only one runs at a time: validation and
+     * beforeSubmit are async, so a double click would otherwise send twice.
      */
     async handleSubmit(event, formId) {
       event.preventDefault();
 
-      const form = document.getElementById(formId);
-      const successDiv = document.getElementById(`${formId}-success`);
-      const errorDiv = document.getElementById(`${formId}-error`);
+      if (this.submitting) {
+        return;
+      }
+      this.submitting = true;
+      try {
+        await this.processSubmit(formId);
+      } finally {
+        this.submitting = false;
+      }
+    }
+
+    async processSubmit(formId) {
+      const form = this.getElement(formId);
+      const successDiv = this.getElement(`${formId}-success`);
+      const queuedDiv = this.getElement(`${formId}-queued`);
+      const errorDiv = this.getElement(`${formId}-error`);
 
       // Clear previous messages
       successDiv.style.display = 'none';
+      queuedDiv.style.display = 'none';
       errorDiv.style.display = 'none';
 
       // Collect form data
-      const formData = new FormData(form);
-      const data = {};
-      formData.forEach((value, key) => {
-        if (key !== 'gdpr_consent') {
-          data[key] = value;
-        }
-      });
+      const data = this.getFieldValues(form);
+      Object.keys(data)
+        .filter(key => key.startsWith('gdpr_'))
+        .forEach(key => delete data[key]);
 
-      // Add analytics data if available
-      if (window.BRI_populateFormFields) {
+      const honeypotField = this.spamGuard.options.honeypotField;
+      const honeypotValue = data[honeypotField];
+      delete data[honeypotField];
+
+      // Confirmation fields (matches: 'email') are checked, never sent
+      this.config.fields
+        .filter(field => field.matches)
+        .forEach(field => delete data[field.name]);
+
+      // Keyed on the visitor's answers only: the analytics fields added
+      // below change between attempts and would defeat offline dedup
+      const answers = {};
+      this.config.fields
+        .filter(field => field.name in data)
+        .forEach(field => {
+          answers[field.name] = data[field.name];
+        });
+      const idempotencyKey = createIdempotencyKey(this.config.formConfig.formGuid, answers);
+
+      // Data subject requests carry a reference instead of analytics fields;
+      // it stays the same if the visitor has to resubmit
+      if (this.dataSubjectRequest) {
+        this.requestReference = this.requestReference
+          || createRequestReference(CONFIG.gdprConfig.dataSubjectRequests.referencePrefix);
+        data.request_reference = this.requestReference;
+      } else if (window.BRI_populateFormFields) {
+        // Add analytics data if available
         const analyticsData = this.getAnalyticsData();
         Object.assign(data, analyticsData);
       }
 
-      // GDPR Validation
-      const validation = GDPRComplianceValidator.validate(data, this.consentGiven);
+      // Field-level validation (errors shown inline next to each field)
+      const fieldErrors = await this.validateFields(form);
+      const consentValid = this.validateConsent(form);
+      if (Object.keys(fieldErrors).length > 0 || !consentValid) {
+        this.focusFirstInvalid(form, fieldErrors, !consentValid);
+        this.emit('validationFailed', { errors: fieldErrors, consentMissing: !consentValid });
+        return;
+      }
+
+      // Bot checks: flagged submissions are never shown as errors. Data
+      // subject requests must always reach the endpoint, so they skip the
+      // timing and shared rate limit and are only ever tagged.
+      // HubSpot payloads have no room for anti-spam flags or a proof of work
+      const carriesAntiSpam = this.submitterOptions.type !== 'hubspot';
+      const spamFlags = this.spamGuard.check(honeypotValue, this.renderedAt, !this.dataSubjectRequest, idempotencyKey);
+      const dropSpam = !this.dataSubjectRequest
+        && (this.spamGuard.options.action !== 'tag' || !carriesAntiSpam);
+      if (spamFlags.length > 0 && dropSpam) {
+        form.style.display = 'none';
+        successDiv.innerHTML = this.renderMessage(this.getSuccessTemplate(), { reference: this.requestReference })
+          + this.renderResources(ResourceCatalogue.resolve(this.config, data));
+        this.showMessage(successDiv);
+        return;
+      }
+
+      // Integrations may enrich or cancel the submission
+      const submission = {
+        data: data,
+        context: {
+          pageUri: window.location.href,
+          pageName: document.title
+        }
+      };
+      if (!(await this.emit('beforeSubmit', submission))) {
+        return;
+      }
+
+      // GDPR Validation (after enrichment, so the field whitelist still applies)
+      const validation = GDPRComplianceValidator.validate(submission.data, this.consentGiven, this.locale, this.dataSubjectRequest ? {
+        consentRequired: false,
+        allowedFields: CONFIG.gdprConfig.dataSubjectRequests.allowedFields
+      } : {});
       if (!validation.isValid) {
-        errorDiv.textContent = 'Please correct the following:\n' + validation.errors.join('\n');
+        errorDiv.textContent = this.t('form.correctErrors') + '\n' + validation.errors.join('\n');
         errorDiv.style.display = 'block';
+        this.emit('validationFailed', { errors: {}, gdprErrors: validation.errors });
         return;
       }
 
       // Submit to HubSpot
       const submitBtn = form.querySelector('.bri-submit-btn');
       submitBtn.disabled = true;
-      submitBtn.textContent = 'Submitting...';
-
-      const result = await this.submitter.submit(data, {
-        pageUri: window.location.href,
-        pageName: document.title
-      }, {
-        text: 'I agree to allow Big Rock Intelligence to store and process my personal data.',
-        communicationText: 'I agree to receive marketing communications from Big Rock Intelligence.'
-      });
+      submitBtn.textContent = this.t('form.submitting');
+
+      const proofOfWork = carriesAntiSpam ? this.spamGuard.createProofOfWork(this.config.formConfig.formGuid) : null;
+
+      const context = {
+        ...submission.context,
+        antiSpam: spamFlags.length > 0 || proofOfWork ? { flags: spamFlags, proofOfWork: proofOfWork } : undefined
+      };
+
+      let result;
+      let receipt = null;
+      if (this.dataSubjectRequest) {
+        result = await this.deliver(submission.data, context, {
+          consentToProcess: false,
+          legalBasis: CONFIG.gdprConfig.dataSubjectRequests.legalBasis,
+          text: this.t('dsr.notice')
+        }, idempotencyKey);
+      } else {
+        // Send the consent wording exactly as rendered, with its receipt
+        const processingText = this.t('consent.checkbox');
+        const communications = this.getCommunicationConsents(form);
+        receipt = await this.buildConsentReceipt(processingText, communications);
+
+        result = await this.deliver(submission.data, context, {
+          text: processingText,
+          communications: communications,
+          receipt: receipt
+        }, idempotencyKey);
+      }
+
+      if (result.success || result.queued) {
+        if (receipt) {
+          ConsentRecorder.record(receipt);
+        }
+        if (!this.dataSubjectRequest) {
+          this.spamGuard.recordSubmission(idempotencyKey);
+        }
+      }
+
+      // The endpoint may issue its own reference number
+      const reference = this.dataSubjectRequest
+        ? (result.data && result.data.reference) || this.requestReference
+        : undefined;
+
+      // The form was destroyed while the request was in flight
+      if (!form.isConnected) {
+        return;
+      }
 
-      if (result.success) {
+      if (result.queued) {
+        form.style.display = 'none';
+        queuedDiv.innerHTML = this.renderMessage(this.getQueuedTemplate(), { reference })
+          + this.renderResources(ResourceCatalogue.resolve(this.config, submission.data));
+        this.showMessage(queuedDiv);
+        this.emit('submitSuccess', { data: submission.data, response: null, queued: true, reference: reference });
+      } else if (result.success) {
         form.style.display = 'none';
-        successDiv.style.display = 'block';
+        successDiv.innerHTML = this.renderMessage(this.getSuccessTemplate(), { reference })
+          + this.renderResources(ResourceCatalogue.resolve(this.config, submission.data));
+        this.showMessage(successDiv);
+        this.trackConversion();
 
         // Call success callback if provided
         if (this.config.onSuccess) {
-          this.config.onSuccess(data, result.data);
+          this.config.onSuccess(submission.data, result.data);
         }
+        this.emit('submitSuccess', { data: submission.data, response: result.data, queued: false, reference: reference });
       } else {
-        errorDiv.textContent = 'Submission failed. Please try again or contact james@bigrock-intel.ai';
+        // Custom adapters may still report plain strings
+        const error = result.error instanceof SubmissionError
+          ? result.error
+          : new SubmissionError(String(result.error || 'Submission failed'), { retryable: result.retryable });
+        const fixable = this.showServerErrors(form, error);
+
+        if (fixable) {
+          errorDiv.textContent = this.t('form.correctErrors');
+        } else {
+          errorDiv.textContent = this.t(error.retryable ? 'form.submitFailed' : 'form.submitRejected');
+        }
         errorDiv.style.display = 'block';
-        submitBtn.disabled = false;
-        submitBtn.textContent = this.config.buttonText || 'Submit';
+
+        // Resubmitting only helps if the visitor can fix something or the server may recover
+        submitBtn.disabled = !fixable && !error.retryable;
+        submitBtn.textContent = this.text(this.config.buttonText) || this.t('form.submit');
+        this.emit('submitError', { data: submission.data, error: error });
       }
     }
 
     /**
-     * Validate email field
+     * Show server-side field errors in the matching bri-field-error spans.
+     * Returns how many were shown (0 when nothing is fixable by the visitor).
      */
-    validateEmail(emailField) {
-      const errorSpan = document.getElementById(`${emailField.name}-error`);
-      if (!GDPRComplianceValidator.isValidEmail(emailField.value)) {
-        errorSpan.textContent = 'Please enter a valid email address';
-        emailField.classList.add('error');
-        return false;
-      } else {
-        errorSpan.textContent = '';
-        emailField.classList.remove('error');
+    showServerErrors(form, error) {
+      const activeFields = this.getActiveFields(form).map(field => field.name);
+      const shown = error.fieldErrors.filter(fieldError => (
+        SERVER_FIELD_ERRORS[fieldError.type] && activeFields.includes(fieldError.field)
+      ));
+
+      shown.forEach(fieldError => {
+        const message = this.t(SERVER_FIELD_ERRORS[fieldError.type]);
+        this.setFieldError(form, fieldError.field, message);
+        this.fieldErrors[fieldError.field] = message;
+      });
+
+      if (shown.length > 0) {
+        this.focusFirstInvalid(form, this.fieldErrors, false);
+      }
+      return shown.length;
+    }
+
+    /**
+     * Conversion event for the analytics providers (GA4 form_submit etc.);
+     * data subject requests are not leads
+     */
+    trackConversion() {
+      if (!this.dataSubjectRequest && window.EventAnalytics && window.EventAnalytics.trackFormConversion) {
+        const formGuid = this.config.formConfig.formGuid;
+        window.EventAnalytics.trackFormConversion(this.config.analyticsName || formGuid, formGuid);
+      }
+    }
+
+    trackResourceDownload(resourceId, url) {
+      this.emit('resourceDownload', { resource: resourceId, url: url });
+      if (window.EventAnalytics && window.EventAnalytics.trackResourceDownload) {
+        window.EventAnalytics.trackResourceDownload(resourceId, this.config.formConfig.formGuid);
+      }
+    }
+
+    /**
+     * Consent receipt: which versions of which texts were shown, in which
+     * locale, and what was ticked
+     */
+    async buildConsentReceipt(processingText, communications) {
+      const versions = CONFIG.gdprConfig.consentVersions;
+      const types = this.getSubscriptionTypes();
+
+      return {
+        formGuid: this.config.formConfig.formGuid,
+        locale: this.locale,
+        timestamp: new Date().toISOString(),
+        processing: {
+          ...(await ConsentRecorder.describe(versions.processing, processingText)),
+          value: true
+        },
+        communications: await Promise.all(communications.map(async (communication, index) => ({
+          subscriptionTypeId: communication.subscriptionTypeId,
+          ...(await ConsentRecorder.describe(types[index].version, communication.text)),
+          value: communication.value
+        }))),
+        privacyNotice: await ConsentRecorder.describe(versions.privacyNotice, this.t('privacy.notice'))
+      };
+    }
+
+    /**
+     * Send a submission, falling back to the retry queue on retryable failures.
+     * Adapters without buildPayload()/send() are submitted directly.
+     * @param {string} [key] - Idempotency key (defaults to one built from data)
+     */
+    async deliver(data, context, legalConsent, key = createIdempotencyKey(this.config.formConfig.formGuid, data)) {
+      if (typeof this.submitter.buildPayload !== 'function' || typeof this.submitter.send !== 'function') {
+        return this.submitter.submit(data, context, legalConsent);
+      }
+
+      // Already waiting in the queue (e.g. visitor pressed submit twice offline)
+      if (submissionQueue.has(key)) {
+        return { success: false, queued: true };
+      }
+
+      const payload = this.submitter.buildPayload(data, context, legalConsent);
+      const result = navigator.onLine === false
+        ? { success: false, retryable: true }
+        : await this.submitter.send(payload, key);
+
+      if (!result.success && result.retryable) {
+        const queued = submissionQueue.enqueue({
+          key: key,
+          formConfig: this.config.formConfig,
+          submitter: this.submitterOptions,
+          payload: payload
+        });
+        return { ...result, queued: queued };
+      }
+
+      return result;
+    }
+
+    /**
+     * Collect current form values; checkbox groups are joined with ';'
+     */
+    getFieldValues(form) {
+      const values = {};
+      new FormData(form).forEach((value, key) => {
+        values[key] = key in values ? `${values[key]};${value}` : value;
+      });
+      return values;
+    }
+
+    /**
+     * Show/hide conditional fields and toggle conditional required markers.
+     * Hidden fields are disabled so FormData leaves them out of the submission.
+     */
+    applyConditions(form) {
+      // Resolve in config order so a field hidden earlier can't drive later rules
+      let values = this.getFieldValues(form);
+
+      this.config.fields.forEach(field => {
+        const wrapper = this.getFieldWrapper(form, field.name);
+        if (!wrapper) return;
+
+        if (field.showWhen) {
+          const visible = FieldConditions.isVisible(field, values);
+          const wasHidden = wrapper.hidden;
+          wrapper.hidden = !visible;
+          this.getInputs(form, field.name).forEach(input => {
+            input.disabled = !visible;
+          });
+
+          if (visible && wasHidden) {
+            // Re-enabled inputs now contribute to the rules of later fields
+            values = this.getFieldValues(form);
+          } else if (!visible) {
+            delete values[field.name];
+            this.setFieldError(form, field.name, '');
+          }
+        }
+
+        if (field.requiredWhen) {
+          const marker = wrapper.querySelector('.required');
+          if (marker) {
+            marker.hidden = !FieldConditions.isRequired(field, values);
+          }
+        }
+      });
+    }
+
+    /**
+     * Config fields currently shown (and therefore validated and submitted)
+     */
+    getActiveFields(form) {
+      const values = this.getFieldValues(form);
+      return this.config.fields.filter(field => field.type !== 'hidden' && FieldConditions.isVisible(field, values));
+    }
+
+    /**
+     * Validate one field against its declarative rules and render the result
+     * into its bri-field-error span
+     */
+    async validateField(form, field, values = this.getFieldValues(form)) {
+      // Ignore stale results from a slower async validator
+      this.validationRuns = this.validationRuns || {};
+      const run = (this.validationRuns[field.name] || 0) + 1;
+      this.validationRuns[field.name] = run;
+
+      const rules = { ...field, required: FieldConditions.isRequired(field, values) };
+      const error = await FieldValidator.validate(rules, values[field.name], values, this.locale);
+      if (this.validationRuns[field.name] !== run) {
+        return !error;
+      }
+
+      this.fieldErrors[field.name] = error;
+      this.setFieldError(form, field.name, error);
+
+      return !error;
+    }
+
+    /**
+     * Show (or clear, with an empty message) a field's inline error and
+     * mark its inputs invalid for assistive technology
+     */
+    setFieldError(form, name, message) {
+      const errorSpan = this.getElement(`${this.fieldId(name)}-error`);
+      if (errorSpan) {
+        errorSpan.textContent = message || '';
+      }
+
+      this.getInputs(form, name).forEach(input => {
+        input.classList.toggle('error', Boolean(message));
+        if (message) {
+          input.setAttribute('aria-invalid', 'true');
+        } else {
+          input.removeAttribute('aria-invalid');
+        }
+      });
+    }
+
+    setConsentError(message) {
+      const errorSpan = this.getElement(`${this.fieldId('gdpr-consent')}-error`);
+      const checkbox = this.getElement(this.fieldId('gdpr-consent'));
+      if (errorSpan) {
+        errorSpan.textContent = message;
+      }
+      if (checkbox && message) {
+        checkbox.setAttribute('aria-invalid', 'true');
+      } else if (checkbox) {
+        checkbox.removeAttribute('aria-invalid');
+      }
+    }
+
+    /**
+     * Move focus to the first invalid control (config order, consent last)
+     */
+    focusFirstInvalid(form, fieldErrors, consentMissing) {
+      const field = this.config.fields.find(candidate => fieldErrors[candidate.name]);
+      const input = field
+        ? this.getInputs(form, field.name)[0]
+        : (consentMissing ? this.getElement(this.fieldId('gdpr-consent')) : null);
+
+      if (input) {
+        input.focus();
+      }
+    }
+
+    /**
+     * Show a success/queued message and move focus to it, since the form
+     * (and the focused button) has just been hidden
+     */
+    showMessage(div) {
+      div.style.display = 'block';
+      div.focus();
+    }
+
+    /**
+     * Validate all visible fields (hidden conditional fields are skipped);
+     * resolves to { fieldName: message } for failing fields, empty when valid
+     */
+    async validateFields(form) {
+      const values = this.getFieldValues(form);
+      const fields = this.getActiveFields(form);
+      const results = await Promise.all(fields.map(field => this.validateField(form, field, values)));
+
+      const errors = {};
+      results.forEach((valid, index) => {
+        if (!valid) {
+          errors[fields[index].name] = this.fieldErrors[fields[index].name];
+        }
+      });
+      return errors;
+    }
+
+    /**
+     * Show the consent error inline when the GDPR checkbox is unticked
+     */
+    validateConsent(form) {
+      if (this.dataSubjectRequest) {
         return true;
       }
+      this.setConsentError(this.consentGiven ? '' : this.t('consent.required'));
+      return this.consentGiven;
     }
 
     /**
-     * Get analytics data from BRI tracking
+     * Get analytics data from BRI tracking. Engagement fields come from
+     * bri-analytics-sanitized.js, which only returns them with consent.
      */
     getAnalyticsData() {
-      // This will be populated by the analytics tracking script
       const urlParams = new URLSearchParams(window.location.search);
-      return {
+      const data = {
         event_name: urlParams.get('event') || this.config.eventName || '',
         utm_source_original: urlParams.get('utm_source') || urlParams.get('source') || 'direct'
       };
+
+      let engagement = {};
+      try {
+        engagement = window.BRI_populateFormFields() || {};
+      } catch (error) {
+        console.error('BRI_populateFormFields failed:', error);
+      }
+
+      // Only whitelisted engagement fields, never anything else the provider returns
+      const engagementFields = [
+        'event_engagement_level', 'session_duration_seconds',
+        'top_interest_section_1', 'top_interest_section_2', 'top_interest_section_3'
+      ];
+      engagementFields
+        .filter(key => engagement[key] !== undefined && engagement[key] !== '')
+        .forEach(key => {
+          data[key] = String(engagement[key]);
+        });
+
+      return data;
+    }
+
+    /**
+     * Set the theme's custom properties on the container, so they also reach
+     * into a shadow root
+     */
+    applyTheme(container) {
+      const theme = mergeThemes(CONFIG.theme, window.BRI_THEME, this.config.theme);
+      const properties = {
+        ...themeProperties(THEME_PRESETS[theme.mode]),
+        ...themeProperties(theme)
+      };
+
+      Object.keys(properties).forEach(name => container.style.setProperty(name, properties[name]));
+      this.themeProperties = Object.keys(properties);
+      if (theme.mode) {
+        container.setAttribute('data-bri-theme', theme.mode);
+      }
+    }
+
+    removeTheme() {
+      (this.themeProperties || []).forEach(name => this.container.style.removeProperty(name));
+      this.container.removeAttribute('data-bri-theme');
+      if (this.container.getAttribute('style') === '') {
+        this.container.removeAttribute('style');
+      }
+      this.themeProperties = [];
+    }
+
+    /**
+     * Apply form styles: injected once into the document head (or into the
+     * shadow root) and shared by every form mounted there
+     */
+    applyStyles(root) {
+      const target = root === this.container ? document.head : root;
+      let style = target.querySelector(`#${STYLE_ELEMENT_ID}`);
+
+      if (!style) {
+        style = document.createElement('style');
+        style.id = STYLE_ELEMENT_ID;
+        style.textContent = `
+          .bri-custom-form {
+            max-width: 100%;
+            font-family: var(--bri-font-family, inherit);
+            font-size: var(--bri-font-size, 1rem);
+          }
+          .bri-form-field {
+            margin-bottom: 1rem;
+          }
+          .bri-form-field label {
+            display: block;
+            margin-bottom: 0.5rem;
+            font-weight: 500;
+            color: var(--bri-color-text, #2d3748);
+          }
+          .bri-form-field input[type="text"],
+          .bri-form-field input[type="email"],
+          .bri-form-field input[type="tel"],
+          .bri-form-field input[type="number"],
+          .bri-form-field textarea,
+          .bri-form-field select {
+            width: 100%;
+            padding: 0.75rem;
+            border: 1px solid var(--bri-color-border, #cbd5e0);
+            border-radius: var(--bri-radius, 4px);
+            background: var(--bri-color-surface, #ffffff);
+            color: var(--bri-color-text, #2d3748);
+            font-family: inherit;
+            font-size: 1rem;
+            transition: border-color 0.2s;
+          }
+          .bri-form-field input:focus,
+          .bri-form-field textarea:focus,
+          .bri-form-field select:focus {
+            outline: none;
+            border-color: var(--bri-color-accent, #5d9182);
+            box-shadow: 0 0 0 3px var(--bri-color-focus-ring, rgba(93, 145, 130, 0.35));
+          }
+          .bri-submit-btn:focus-visible,
+          .bri-form-success:focus-visible,
+          .bri-form-queued:focus-visible,
+          .bri-privacy-notice a:focus-visible {
+            outline: 3px solid var(--bri-color-accent, #5d9182);
+            outline-offset: 2px;
+          }
+          .bri-form-field input.error,
+          .bri-form-field textarea.error,
+          .bri-form-field select.error {
+            border-color: var(--bri-color-error, #e53e3e);
+          }
+          .bri-form-field textarea {
+            resize: vertical;
+          }
+          .bri-choice-group {
+            border: none;
+            padding: 0;
+            margin: 0 0 1rem 0;
+          }
+          .bri-choice-group legend {
+            margin-bottom: 0.5rem;
+            font-weight: 500;
+            color: var(--bri-color-text, #2d3748);
+          }
+          .bri-form-field .bri-choice-label {
+            display: flex;
+            align-items: center;
+            gap: 0.5rem;
+            margin-bottom: 0.25rem;
+            font-weight: 400;
+            cursor: pointer;
+          }
+          .bri-field-error {
+            display: block;
+            color: var(--bri-color-error, #e53e3e);
+            font-size: 0.875rem;
+            margin-top: 0.25rem;
+          }
+          .required {
+            color: var(--bri-color-error, #e53e3e);
+          }
+          .bri-gdpr-consent {
+            background: var(--bri-color-surface-muted, #f7fafc);
+            padding: 1rem;
+            border-radius: var(--bri-radius, 4px);
+            border: 1px solid var(--bri-color-border-muted, #e2e8f0);
+          }
+          .bri-checkbox-label {
+            display: flex;
+            align-items: flex-start;
+            cursor: pointer;
+          }
+          .bri-subscription-consent {
+            margin-top: 0.75rem;
+          }
+          .bri-checkbox-label input[type="checkbox"] {
+            margin-right: 0.75rem;
+            margin-top: 0.25rem;
+            flex-shrink: 0;
+          }
+          .checkbox-text {
+            font-size: 0.9rem;
+            line-height: 1.5;
+            color: var(--bri-color-text-muted, #4a5568);
+          }
+          .bri-submit-btn {
+            width: 100%;
+            padding: var(--bri-button-padding, 0.875rem 1.5rem);
+            border: var(--bri-button-border, none);
+            border-radius: var(--bri-button-radius, var(--bri-radius, 4px));
+            background: var(--bri-button-background, var(--bri-color-primary, #dab86e));
+            color: var(--bri-button-text, var(--bri-color-primary-text, #ffffff));
+            font-family: inherit;
+            font-size: 1rem;
+            font-weight: var(--bri-button-font-weight, 600);
+            text-transform: var(--bri-button-text-transform, none);
+            cursor: pointer;
+            transition: opacity 0.2s;
+          }
+          .bri-submit-btn--secondary {
+            background: var(--bri-button-background, var(--bri-color-accent, #5d9182));
+            color: var(--bri-button-text, var(--bri-color-accent-text, #ffffff));
+          }
+          .bri-submit-btn--outline {
+            background: transparent;
+            border: 2px solid var(--bri-button-background, var(--bri-color-primary, #dab86e));
+            color: var(--bri-button-background, var(--bri-color-primary, #dab86e));
+          }
+          .bri-submit-btn:hover:not(:disabled) {
+            opacity: 0.9;
+          }
+          .bri-submit-btn:disabled {
+            opacity: 0.6;
+            cursor: not-allowed;
+          }
+          .bri-form-success {
+            background: var(--bri-color-success-bg, #c6f6d5);
+            border: 1px solid var(--bri-color-success-border, #9ae6b4);
+            color: var(--bri-color-success-text, #22543d);
+            padding: 1rem;
+            border-radius: var(--bri-radius, 4px);
+          }
+          .bri-form-queued {
+            background: var(--bri-color-warning-bg, #fefcbf);
+            border: 1px solid var(--bri-color-warning-border, #f6e05e);
+            color: var(--bri-color-warning-text, #744210);
+            padding: 1rem;
+            border-radius: var(--bri-radius, 4px);
+          }
+          .bri-form-error {
+            background: var(--bri-color-error-bg, #fed7d7);
+            border: 1px solid var(--bri-color-error-border, #fc8181);
+            color: var(--bri-color-error-text, #742a2a);
+            padding: 1rem;
+            border-radius: var(--bri-radius, 4px);
+            white-space: pre-line;
+          }
+          .bri-resources {
+            margin-top: 1rem;
+          }
+          .bri-resources-title {
+            margin: 0 0 0.5rem 0;
+            font-weight: 600;
+          }
+          .bri-resources ul {
+            list-style: none;
+            margin: 0;
+            padding: 0;
+          }
+          .bri-resources li {
+            margin-bottom: 0.5rem;
+          }
+          .bri-resource-link {
+            color: inherit;
+            font-weight: 600;
+            text-decoration: underline;
+          }
+          .bri-resource-meta {
+            margin-left: 0.5rem;
+            font-size: 0.85rem;
+            opacity: 0.8;
+          }
+          .bri-hp-field {
+            position: absolute;
+            left: -10000px;
+            width: 1px;
+            height: 1px;
+            overflow: hidden;
+          }
+          .bri-privacy-notice {
+            margin-top: 1rem;
+            padding-top: 1rem;
+            border-top: 1px solid var(--bri-color-border-muted, #e2e8f0);
+          }
+          .bri-privacy-notice p {
+            font-size: 0.85rem;
+            line-height: 1.5;
+            color: var(--bri-color-text-muted, #718096);
+          }
+          .bri-privacy-notice a {
+            color: var(--bri-color-accent, #5d9182);
+            text-decoration: underline;
+          }
+          @media (prefers-reduced-motion: reduce) {
+            .bri-custom-form * {
+              transition: none !important;
+            }
+          }
+        `;
+        target.appendChild(style);
+      }
+
+      style.dataset.briForms = Number(style.dataset.briForms || 0) + 1;
+      this.styleElement = style;
+    }
+
+    /**
+     * Drop this form's share of the injected styles; the last form removes them
+     */
+    releaseStyles() {
+      const style = this.styleElement;
+      if (!style) return;
+
+      const users = Number(style.dataset.briForms || 1) - 1;
+      if (users > 0) {
+        style.dataset.briForms = users;
+      } else {
+        style.remove();
+      }
+      this.styleElement = null;
+    }
+  }
+
+  /**
+   * Declarative mounting:
+   *   <div data-bri-form="quickEmail"
+   *        data-bri-event="AI Week Frankfurt 2025"
+   *        data-bri-button-text="Send it"
+   *        data-bri-button-color="#5d9182"
+   *        data-bri-button-style="outline"
+   *        data-bri-hidden-cta_interaction_type="hero_cta"></div>
+   * The named config comes from BRI_FORM_CONFIGS and is copied, never mutated.
+   * data-bri-hidden-* only overrides the value of an existing hidden field.
+   */
+  class FormAutoMounter {
+    static configFor(container) {
+      const name = container.getAttribute('data-bri-form');
+      if (!window.BRI_FORM_CONFIGS) {
+        // form-configs.js not loaded yet; registerConfigs() mounts these later
+        return null;
+      }
+
+      const base = window.BRI_FORM_CONFIGS[name];
+      if (!base) {
+        console.warn(`BRICustomForm: no config named "${name}" in BRI_FORM_CONFIGS`);
+        return null;
+      }
+
+      const hiddenValues = {};
+      Array.from(container.attributes)
+        .filter(attribute => attribute.name.startsWith('data-bri-hidden-'))
+        .forEach(attribute => {
+          hiddenValues[attribute.name.slice('data-bri-hidden-'.length)] = attribute.value;
+        });
+
+      const config = {
+        ...base,
+        fields: base.fields.map(field => (
+          field.type === 'hidden' && field.name in hiddenValues
+            ? { ...field, value: hiddenValues[field.name] }
+            : field
+        ))
+      };
+
+      const overrides = {
+        eventName: 'data-bri-event',
+        buttonText: 'data-bri-button-text',
+        buttonColor: 'data-bri-button-color',
+        buttonStyle: 'data-bri-button-style',
+        locale: 'data-bri-locale'
+      };
+      Object.keys(overrides)
+        .filter(key => container.hasAttribute(overrides[key]))
+        .forEach(key => {
+          config[key] = container.getAttribute(overrides[key]);
+        });
+
+      return config;
+    }
+
+    static mountAll(root) {
+      const containers = Array.from(root.querySelectorAll('[data-bri-form]'));
+      if (root.matches && root.matches('[data-bri-form]')) {
+        containers.unshift(root);
+      }
+
+      return containers
+        .filter(container => !this.forms.has(container))
+        .map(container => {
+          const config = this.configFor(container);
+          if (!config) return null;
+
+          // One broken container must not stop the others from mounting
+          try {
+            const form = new BRICustomForm(config);
+            this.forms.set(container, form);
+            form.render(container);
+            return form;
+          } catch (error) {
+            console.error(`BRICustomForm: could not mount "${container.getAttribute('data-bri-form')}":`, error);
+            return null;
+          }
+        })
+        .filter(Boolean);
     }
 
     /**
-     * Apply form styles
-     */
-    applyStyles(container) {
-      const style = document.createElement('style');
-      style.textContent = `
-        .bri-custom-form {
-          max-width: 100%;
-        }
-        .bri-form-field {
-          margin-bottom: 1rem;
-        }
-        .bri-form-field label {
-          display: block;
-          margin-bottom: 0.5rem;
-          font-weight: 500;
-          color: #2d3748;
-        }
-        .bri-form-field input[type="text"],
-        .bri-form-field input[type="email"],
-        .bri-form-field select {
-          width: 100%;
-          padding: 0.75rem;
-          border: 1px solid #cbd5e0;
-          border-radius: 4px;
-          font-size: 1rem;
-          transition: border-color 0.2s;
-        }
-        .bri-form-field input:focus,
-        .bri-form-field select:focus {
-          outline: none;
-          border-color: #5d9182;
-        }
-        .bri-form-field input.error {
-          border-color: #e53e3e;
-        }
-        .bri-field-error {
-          display: block;
-          color: #e53e3e;
-          font-size: 0.875rem;
-          margin-top: 0.25rem;
-        }
-        .required {
-          color: #e53e3e;
-        }
-        .bri-gdpr-consent {
-          background: #f7fafc;
-          padding: 1rem;
-          border-radius: 4px;
-          border: 1px solid #e2e8f0;
-        }
-        .bri-checkbox-label {
-          display: flex;
-          align-items: flex-start;
-          cursor: pointer;
-        }
-        .bri-checkbox-label input[type="checkbox"] {
-          margin-right: 0.75rem;
-          margin-top: 0.25rem;
-          flex-shrink: 0;
-        }
-        .checkbox-text {
-          font-size: 0.9rem;
-          line-height: 1.5;
-          color: #4a5568;
-        }
-        .bri-submit-btn {
-          width: 100%;
-          padding: 0.875rem 1.5rem;
-          border: none;
-          border-radius: 4px;
-          font-size: 1rem;
-          font-weight: 600;
-          color: white;
-          cursor: pointer;
-          transition: opacity 0.2s;
-        }
-        .bri-submit-btn:hover:not(:disabled) {
-          opacity: 0.9;
-        }
-        .bri-submit-btn:disabled {
-          opacity: 0.6;
-          cursor: not-allowed;
-        }
-        .bri-form-success {
-          background: #c6f6d5;
-          border: 1px solid #9ae6b4;
-          color: #22543d;
-          padding: 1rem;
-          border-radius: 4px;
-        }
-        .bri-form-error {
-          background: #fed7d7;
-          border: 1px solid #fc8181;
-          color: #742a2a;
-          padding: 1rem;
-          border-radius: 4px;
-          white-space: pre-line;
-        }
-        .bri-privacy-notice {
-          margin-top: 1rem;
-          padding-top: 1rem;
-          border-top: 1px solid #e2e8f0;
-        }
-        .bri-privacy-notice a {
-          color: #5d9182;
-          text-decoration: underline;
+     * Mount existing containers, then watch for added and removed ones
+     */
+    static start() {
+      this.mountAll(document);
+
+      this.observer = new MutationObserver(mutations => {
+        mutations.forEach(mutation => {
+          mutation.addedNodes.forEach(node => {
+            if (node.nodeType === Node.ELEMENT_NODE) {
+              this.mountAll(node);
+            }
+          });
+        });
+        if (mutations.some(mutation => mutation.removedNodes.length > 0)) {
+          this.unmountRemoved();
         }
-      `;
-      container.appendChild(style);
+      });
+      this.observer.observe(document.documentElement, { childList: true, subtree: true });
+    }
+
+    /**
+     * Tear down forms whose container has left the page
+     */
+    static unmountRemoved() {
+      Array.from(this.forms.keys())
+        .filter(container => !container.isConnected)
+        .forEach(container => {
+          this.forms.get(container).destroy();
+          this.forms.delete(container);
+        });
+    }
+  }
+
+  FormAutoMounter.forms = new Map();
+
+  // Replay anything left over from earlier visits
+  submissionQueue.start();
+
+  // Auto-mount once the page (and form-configs.js) has loaded
+  const startAutoMount = () => {
+    if (CONFIG.autoMount) {
+      FormAutoMounter.start();
     }
+  };
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', startAutoMount);
+  } else {
+    startAutoMount();
+  }
+
+  // Configs loaded before this script are checked now; later ones register themselves
+  if (window.BRI_FORM_CONFIGS) {
+    BRICustomForm.registerConfigs(window.BRI_FORM_CONFIGS);
   }
 
   // Expose to global scope
   window.BRICustomForm = BRICustomForm;
   window.BRIFormConfig = CONFIG;
+  window.BRIFormLocales = I18N;
+  // Also used by the consent banner, so both follow the same rules
+  window.BRIFormHelpers = {
+    detectLocale,
+    themeProperties
+  };
+  window.BRIFormSubmitters = {
+    HubSpotFormSubmitter,
+    WebhookFormSubmitter,
+    DryRunFormSubmitter,
+    SubmissionError,
+    register: registerSubmitter
+  };
 
 })();
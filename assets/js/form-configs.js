@@ -2,9 +2,89 @@
  * BRI Custom Form Configurations
  * GDPR-compliant form definitions for event landing pages
  *
+ * Field types: email, text, textarea, select, radio, checkbox (multi-select
+ * group), tel (international format), number (min/max/step), hidden.
+ * Choice types take options: [{ label, value }].
+ *
+ * Field validation rules (checked on blur and on submit):
+ *   required, pattern, minLength, maxLength,
+ *   validate: (value, values) => true | 'Error message' (may be async),
+ *   messages: { required: '...', pattern: '...' }
+ *
+ * Conditional fields (evaluated live as values change):
+ *   showWhen: { field: 'interest_area', equals: 'ai_operations' }
+ *   requiredWhen: { field: 'contact_preference', in: ['call'] }
+ * Hidden fields are not validated and not submitted.
+ *
+ * Marketing opt-ins: subscriptions: ['marketing'] picks which of
+ * BRIFormConfig.gdprConfig.subscriptionTypes the form offers (default: all),
+ * each as its own checkbox separate from the data-processing consent.
+ *
+ * shadowDom: true mounts the form in a shadow root, isolating page and form CSS.
+ * successMessage may contain simple HTML (p, h3, a, strong...); anything else
+ * is stripped. All other config strings are rendered as plain text.
+ *
+ * Every field name must be in BRIFormConfig.gdprConfig.allowedFields. Configs
+ * are checked when registered and problems are logged as console warnings;
+ * with strict: true (per form, or BRIFormConfig.schemaValidation.strict)
+ * a form with problems is not rendered at all.
+ *
+ * Look: buttonStyle: 'primary' (default) | 'secondary' | 'outline', and
+ * theme: { mode: 'dark', colors: { primary: '#dab86e' }, radius: '8px' }
+ * for per-form overrides of the page theme (window.BRI_THEME or --bri-*
+ * CSS custom properties). buttonColor still overrides just the button.
+ *
+ * mode: 'dataSubjectRequest' turns a form into a GDPR rights request: its
+ * own endpoint and field whitelist, no consent checkboxes, no analytics
+ * fields, and a reference number in the success message ({reference}).
+ * matches: 'email' makes a field repeat another one; it is never submitted.
+ *
+ * Downloads: resources: ['euAiActGuide'] lists BRI_RESOURCES entries shown
+ * as download links on the success screen; resourcesWhen adds more per
+ * answer: [{ when: { field: 'interest_area', equals: 'eu_ai_act' },
+ * resources: ['euAiActGuide'] }]. Clicks are tracked as resource downloads.
+ *
+ * analyticsName: 'quick_email_capture' names the conversion event sent to
+ * the EventAnalytics providers (GA4 form_submit...) on success; it defaults
+ * to the formGuid. onSuccess is for page-specific extras only.
+ *
+ * Visitor-facing strings (label, placeholder, option labels, buttonText,
+ * successMessage, messages) may be given per locale:
+ *   label: { en: 'Email Address', de: 'E-Mail-Adresse' }
+ *
  * 🪨🏔️  Authored by BRI | ⚡ Powered by Claude Code
  */
 
+/**
+ * Downloadable resources, delivered after a successful submission
+ * (id → url, title, format, size)
+ */
+const BRI_RESOURCES = {
+  euAiActGuide: {
+    // Read at success time, so pages may set the override after this script
+    get url() {
+      return window.BRI_EXIT_INTENT_PDF_URL || 'https://bigrock-intel.ai/downloads/eu-ai-act-compliance-guide.pdf';
+    },
+    title: { en: 'EU AI Act Compliance Guide', de: 'Leitfaden zur EU-AI-Act-Compliance' },
+    format: 'PDF'
+  },
+  aiReadinessChecklist: {
+    url: 'https://bigrock-intel.ai/downloads/ai-readiness-checklist.pdf',
+    title: { en: 'AI Readiness Checklist', de: 'KI-Readiness-Checkliste' },
+    format: 'PDF'
+  },
+  aiGovernanceFramework: {
+    url: 'https://bigrock-intel.ai/downloads/ai-governance-framework.pdf',
+    title: { en: 'AI Governance Framework', de: 'KI-Governance-Framework' },
+    format: 'PDF'
+  },
+  speakerDecks: {
+    url: './BRI-AIW-Week-lightning-talks-speaker-decks.pdf',
+    title: { en: 'Lightning Talk Speaker Decks', de: 'Lightning-Talk-Präsentationen' },
+    format: 'PDF'
+  }
+};
+
 const BRI_FORM_CONFIGS = {
   /**
    * Form 1: Floating Banner CTA
@@ -15,59 +95,81 @@ const BRI_FORM_CONFIGS = {
       formGuid: 'bri-floating-banner-cta',
       name: 'Event Landing - Floating Banner CTA'
     },
+    analyticsName: 'floating_banner_cta',
     eventName: 'AI Week Frankfurt 2025', // Override per event
     fields: [
       {
         type: 'email',
         name: 'email',
-        label: 'Email Address',
-        placeholder: 'your@company.com',
+        label: { en: 'Email Address', de: 'E-Mail-Adresse' },
+        placeholder: { en: 'your@company.com', de: 'ihre@firma.de' },
         required: true,
         autocomplete: 'email'
       },
       {
         type: 'text',
         name: 'company',
-        label: 'Company',
-        placeholder: 'Your organization',
+        label: { en: 'Company', de: 'Unternehmen' },
+        placeholder: { en: 'Your organization', de: 'Ihre Organisation' },
         required: false,
-        autocomplete: 'organization'
+        autocomplete: 'organization',
+        minLength: 2,
+        maxLength: 100
       },
       {
         type: 'select',
         name: 'interest_area',
-        label: 'Primary Interest',
+        label: { en: 'Primary Interest', de: 'Hauptinteresse' },
         required: true,
+        messages: {
+          required: {
+            en: 'Please choose the topic you are most interested in',
+            de: 'Bitte wählen Sie das Thema, das Sie am meisten interessiert'
+          }
+        },
         options: [
-          { label: 'AI Governance', value: 'ai_governance' },
-          { label: 'AI Operations Platform', value: 'ai_operations' },
-          { label: 'EU AI Act Compliance', value: 'eu_ai_act' },
-          { label: 'Security & Risk Management', value: 'security_risk' },
-          { label: 'Grant Funding', value: 'grant_funding' }
+          { label: { en: 'AI Governance', de: 'KI-Governance' }, value: 'ai_governance' },
+          { label: { en: 'AI Operations Platform', de: 'KI-Betriebsplattform' }, value: 'ai_operations' },
+          { label: { en: 'EU AI Act Compliance', de: 'Compliance mit dem EU AI Act' }, value: 'eu_ai_act' },
+          { label: { en: 'Security & Risk Management', de: 'Sicherheit & Risikomanagement' }, value: 'security_risk' },
+          { label: { en: 'Grant Funding', de: 'Fördermittel' }, value: 'grant_funding' }
         ]
       },
+      {
+        type: 'text',
+        name: 'jobtitle',
+        label: { en: 'Job Title', de: 'Position' },
+        placeholder: { en: 'e.g. Head of AI Platform', de: 'z. B. Leitung KI-Plattform' },
+        required: false,
+        autocomplete: 'organization-title',
+        showWhen: { field: 'interest_area', equals: 'ai_operations' }
+      },
       {
         type: 'hidden',
         name: 'cta_interaction_type',
         value: 'floating_banner'
       }
     ],
-    buttonText: 'Get Framework',
-    buttonColor: '#dab86e', // BRI gold-700
-    successMessage: `
-      <h3 style="margin: 0 0 0.5rem 0;">Thank you!</h3>
-      <p style="margin: 0;">We'll send our AI governance framework within 24 hours.</p>
-      <p style="margin: 0.5rem 0 0 0; font-size: 0.9rem;">Questions? <a href="mailto:james@bigrock-intel.ai">james@bigrock-intel.ai</a></p>
-    `,
+    resources: ['aiGovernanceFramework'],
+    resourcesWhen: [
+      { when: { field: 'interest_area', in: ['eu_ai_act', 'grant_funding'] }, resources: ['euAiActGuide'] },
+      { when: { field: 'interest_area', in: ['ai_operations', 'security_risk'] }, resources: ['aiReadinessChecklist'] }
+    ],
+    buttonText: { en: 'Get Framework', de: 'Framework anfordern' },
+    successMessage: {
+      en: `
+        <h3 style="margin: 0 0 0.5rem 0;">Thank you!</h3>
+        <p style="margin: 0;">Your AI governance framework is ready below, and we'll follow up within 24 hours.</p>
+        <p style="margin: 0.5rem 0 0 0; font-size: 0.9rem;">Questions? <a href="mailto:james@bigrock-intel.ai">james@bigrock-intel.ai</a></p>
+      `,
+      de: `
+        <h3 style="margin: 0 0 0.5rem 0;">Vielen Dank!</h3>
+        <p style="margin: 0;">Ihr KI-Governance-Framework steht unten bereit; wir melden uns innerhalb von 24 Stunden.</p>
+        <p style="margin: 0.5rem 0 0 0; font-size: 0.9rem;">Fragen? <a href="mailto:james@bigrock-intel.ai">james@bigrock-intel.ai</a></p>
+      `
+    },
     onSuccess: (data, response) => {
       console.log('Floating Banner CTA submitted:', data);
-      // Track conversion
-      if (window.gtag) {
-        gtag('event', 'form_submit', {
-          form_name: 'floating_banner_cta',
-          event_category: 'engagement'
-        });
-      }
     }
   },
 
@@ -80,13 +182,14 @@ const BRI_FORM_CONFIGS = {
       formGuid: 'bri-quick-email-capture',
       name: 'Event Landing - Quick Email Capture'
     },
+    analyticsName: 'quick_email_capture',
     eventName: 'AI Week Frankfurt 2025', // Override per event
     fields: [
       {
         type: 'email',
         name: 'email',
-        label: 'Email Address',
-        placeholder: 'your@company.com',
+        label: { en: 'Email Address', de: 'E-Mail-Adresse' },
+        placeholder: { en: 'your@company.com', de: 'ihre@firma.de' },
         required: true,
         autocomplete: 'email'
       },
@@ -96,21 +199,21 @@ const BRI_FORM_CONFIGS = {
         value: 'in_section_cta'
       }
     ],
-    buttonText: 'Send Checklist',
-    buttonColor: '#5d9182', // BRI green-400
-    successMessage: `
-      <h3 style="margin: 0 0 0.5rem 0;">Check your inbox!</h3>
-      <p style="margin: 0;">Your AI readiness checklist is on its way.</p>
-    `,
+    resources: ['aiReadinessChecklist'],
+    buttonText: { en: 'Send Checklist', de: 'Checkliste senden' },
+    buttonStyle: 'secondary', // Theme accent colour (BRI green-400)
+    successMessage: {
+      en: `
+        <h3 style="margin: 0 0 0.5rem 0;">Check your inbox!</h3>
+        <p style="margin: 0;">Your AI readiness checklist is on its way, or download it right here.</p>
+      `,
+      de: `
+        <h3 style="margin: 0 0 0.5rem 0;">Schauen Sie in Ihr Postfach!</h3>
+        <p style="margin: 0;">Ihre KI-Readiness-Checkliste ist unterwegs, oder laden Sie sie gleich hier herunter.</p>
+      `
+    },
     onSuccess: (data, response) => {
       console.log('Quick Email Capture submitted:', data);
-      // Track conversion
-      if (window.gtag) {
-        gtag('event', 'form_submit', {
-          form_name: 'quick_email_capture',
-          event_category: 'engagement'
-        });
-      }
     }
   },
 
@@ -123,13 +226,14 @@ const BRI_FORM_CONFIGS = {
       formGuid: 'bri-exit-intent-popup',
       name: 'Event Landing - Exit Intent'
     },
+    analyticsName: 'exit_intent_popup',
     eventName: 'AI Week Frankfurt 2025', // Override per event
     fields: [
       {
         type: 'email',
         name: 'email',
-        label: 'Email Address',
-        placeholder: 'your@company.com',
+        label: { en: 'Email Address', de: 'E-Mail-Adresse' },
+        placeholder: { en: 'your@company.com', de: 'ihre@firma.de' },
         required: true,
         autocomplete: 'email'
       },
@@ -139,33 +243,134 @@ const BRI_FORM_CONFIGS = {
         value: 'exit_intent'
       }
     ],
-    buttonText: 'Download Now',
-    buttonColor: '#dab86e', // BRI gold-700
-    successMessage: `
-      <h3 style="margin: 0 0 0.5rem 0;">Download starting...</h3>
-      <p style="margin: 0;">Check your email for the download link!</p>
-    `,
+    resources: ['euAiActGuide'],
+    buttonText: { en: 'Download Now', de: 'Jetzt herunterladen' },
+    successMessage: {
+      en: `
+        <h3 style="margin: 0 0 0.5rem 0;">Your download is ready</h3>
+        <p style="margin: 0;">We've also emailed you the link.</p>
+      `,
+      de: `
+        <h3 style="margin: 0 0 0.5rem 0;">Ihr Download ist bereit</h3>
+        <p style="margin: 0;">Den Link haben wir Ihnen auch per E-Mail geschickt.</p>
+      `
+    },
     onSuccess: (data, response) => {
       console.log('Exit Intent submitted:', data);
+    }
+  },
 
-      // Trigger PDF download
-      const pdfUrl = window.BRI_EXIT_INTENT_PDF_URL || 'https://bigrock-intel.ai/downloads/eu-ai-act-compliance-guide.pdf';
-      setTimeout(() => {
-        window.open(pdfUrl, '_blank');
-      }, 1000);
-
-      // Track conversion
-      if (window.gtag) {
-        gtag('event', 'form_submit', {
-          form_name: 'exit_intent_popup',
-          event_category: 'engagement'
-        });
+  /**
+   * Form 4: Speaker Deck Download
+   * Email gate for the lightning-talk decks in the download banner
+   */
+  speakerDecks: {
+    formConfig: {
+      formGuid: 'bri-speaker-decks-download',
+      name: 'Event Landing - Speaker Decks Download'
+    },
+    analyticsName: 'speaker_decks_download',
+    eventName: 'AI Week Frankfurt 2025', // Override per event
+    fields: [
+      {
+        type: 'email',
+        name: 'email',
+        label: { en: 'Email Address', de: 'E-Mail-Adresse' },
+        placeholder: { en: 'your@company.com', de: 'ihre@firma.de' },
+        required: true,
+        autocomplete: 'email'
+      },
+      {
+        type: 'hidden',
+        name: 'cta_interaction_type',
+        value: 'download_banner'
       }
+    ],
+    resources: ['speakerDecks'],
+    buttonText: { en: 'Get the Decks', de: 'Präsentationen erhalten' },
+    successMessage: {
+      en: `
+        <h3 style="margin: 0 0 0.5rem 0;">Enjoy the talks!</h3>
+        <p style="margin: 0;">All Friday lightning-talk decks in one PDF.</p>
+      `,
+      de: `
+        <h3 style="margin: 0 0 0.5rem 0;">Viel Spaß mit den Talks!</h3>
+        <p style="margin: 0;">Alle Lightning-Talk-Präsentationen vom Freitag in einem PDF.</p>
+      `
     }
+  },
+
+  /**
+   * Form 5: Data Subject Request
+   * Self-service GDPR rights requests (access, rectification, deletion...).
+   * Needs BRIFormConfig.gdprConfig.dataSubjectRequests.endpoint or
+   * window.BRI_DSR_ENDPOINT (without one it is reported and renders nothing);
+   * no consent checkboxes, no analytics fields.
+   */
+  dataSubjectRequest: {
+    mode: 'dataSubjectRequest',
+    formConfig: {
+      formGuid: 'bri-data-subject-request',
+      name: 'GDPR Data Subject Request'
+    },
+    fields: [
+      {
+        type: 'radio',
+        name: 'request_type',
+        label: { en: 'What would you like to do?', de: 'Was möchten Sie tun?' },
+        required: true,
+        options: [
+          { label: { en: 'Get a copy of my data', de: 'Auskunft über meine Daten erhalten' }, value: 'access' },
+          { label: { en: 'Correct my data', de: 'Meine Daten berichtigen' }, value: 'rectification' },
+          { label: { en: 'Delete my data', de: 'Meine Daten löschen' }, value: 'erasure' },
+          { label: { en: 'Restrict processing of my data', de: 'Verarbeitung meiner Daten einschränken' }, value: 'restriction' },
+          { label: { en: 'Receive my data in a portable format', de: 'Meine Daten in einem übertragbaren Format erhalten' }, value: 'portability' },
+          { label: { en: 'Object to processing of my data', de: 'Der Verarbeitung meiner Daten widersprechen' }, value: 'objection' }
+        ]
+      },
+      {
+        type: 'email',
+        name: 'email',
+        label: { en: 'Email Address', de: 'E-Mail-Adresse' },
+        placeholder: { en: 'The address we hold for you', de: 'Die bei uns hinterlegte Adresse' },
+        required: true,
+        autocomplete: 'email'
+      },
+      {
+        type: 'email',
+        name: 'email_confirmation',
+        label: { en: 'Confirm Email Address', de: 'E-Mail-Adresse bestätigen' },
+        required: true,
+        matches: 'email',
+        messages: {
+          matches: {
+            en: 'The email addresses do not match',
+            de: 'Die E-Mail-Adressen stimmen nicht überein'
+          }
+        }
+      },
+      {
+        type: 'textarea',
+        name: 'details',
+        label: { en: 'Details (optional)', de: 'Details (optional)' },
+        placeholder: {
+          en: 'e.g. which details should be corrected',
+          de: 'z. B. welche Angaben berichtigt werden sollen'
+        },
+        maxLength: 2000
+      }
+    ],
+    buttonText: { en: 'Send Request', de: 'Anfrage senden' }
   }
 };
 
 // Expose to global scope
 if (typeof window !== 'undefined') {
   window.BRI_FORM_CONFIGS = BRI_FORM_CONFIGS;
+  window.BRI_RESOURCES = BRI_RESOURCES;
+
+  // Report config mistakes (see console) at load time, not on first submit
+  if (window.BRICustomForm) {
+    window.BRICustomForm.registerConfigs(BRI_FORM_CONFIGS);
+  }
 }
@@ -7,13 +7,24 @@
  * Features:
  * - QR code detection
  * - Section engagement tracking
+ * - Engagement fields for BRI custom form submissions (with consent)
  * - CTA click tracking
+ * - Declarative tracking via data-analytics-action/-label/-value/-on
+ * - Automatic outbound, mailto, tel and booking link tracking
  * - Form submission tracking
- * - Vercel Analytics custom events
- * - HubSpot integration (with consent)
+ * - Provider adapters: Vercel Analytics, HubSpot (with consent), GA4,
+ *   Plausible and a first-party collector, each with its own event names,
+ *   consent category and property allow-list
+ * - Delivery: Vercel, HubSpot, GA4 and Plausible get each event as soon as
+ *   their script is loaded; the first-party collector batches events and
+ *   flushes them on an interval and on page hide with sendBeacon
+ * - Events for consent-gated providers that happen before the consent
+ *   banner is answered are held in memory, then replayed once or discarded
  *
  * Usage:
- *   <body data-analytics-campaign="AI_Week_Frankfurt_2025">
+ *   <body data-analytics-campaign="AI_Week_Frankfurt_2025"
+ *         data-analytics-collector="https://collect.example.com/events">
+ *   <a href="./deck.pdf" data-analytics-action="download_deck" data-analytics-label="Friday">
  *   <script defer src="./shared-assets/bri-analytics-sanitized.js"></script>
  */
 
@@ -24,8 +35,32 @@
     const CONFIG = {
         sectionVisibilityThreshold: 0.5, // 50% visible
         sectionEngagementTime: 2000, // 2 seconds
+        dwellRootMargin: '-40% 0px -40% 0px', // Dwell band: the middle 20% of the viewport
         debug: false, // Console logging disabled in production
-        requireConsent: true // Require consent for HubSpot tracking
+        requireConsent: true, // Require consent for HubSpot tracking
+        // Outbound links to these hosts (or their subdomains) count as bookings
+        bookingDomains: ['outlook.office.com', 'outlook.office365.com', 'calendly.com', 'cal.com', 'meetings.hubspot.com'],
+        // Engagement level attached to form submissions: reached when either
+        // the session length or the number of engaged sections is met
+        engagementLevels: {
+            high: { seconds: 180, sections: 3 },
+            medium: { seconds: 60, sections: 1 }
+        },
+        queue: {
+            maxSize: 200, // Oldest events are dropped beyond this
+            batchSize: 20, // Events per collector beacon
+            flushInterval: 5000, // ms after the first buffered event
+            maxAttempts: 5 // Flushes to wait for a provider's script before dropping
+        },
+        // Enabled providers (see PROVIDERS) and their options; false disables.
+        // Pages add or override them via window.BRI_ANALYTICS_PROVIDERS, e.g.
+        //   { plausible: {}, ga4: { events: { cta_conversion: 'cta_click' } }, collector: { url: '...' } }
+        providers: {
+            vercel: {},
+            hubspot: {},
+            ga4: {},
+            collector: {}
+        }
     };
 
     // State
@@ -34,7 +69,15 @@
         isQR: false,
         utmParams: {},
         trackedSections: new Set(),
-        sectionTimers: new Map()
+        sectionTimers: new Map(),
+        visibleSections: new Set(),
+        sectionVisibleSince: new Map(),
+        sectionDwell: new Map(), // sectionId -> ms in view (tab visible only)
+        initialized: false,
+        queue: [], // { provider, name, properties, timestamp, attempts }
+        heldEvents: [], // Consent-gated events from before the consent decision
+        flushTimer: null,
+        providers: null // name -> { definition, options }, see getProviders()
     };
 
     /**
@@ -58,6 +101,14 @@
         return consentCookie?.includes('true') || localConsent === 'true';
     }
 
+    /**
+     * Whether the visitor has answered the consent banner at all
+     */
+    function hasConsentDecision() {
+        const consentCookie = document.cookie.split(';').find(c => c.trim().startsWith('analytics-consent='));
+        return Boolean(consentCookie) || localStorage.getItem('analytics-consent') !== null;
+    }
+
     /**
      * Sanitize URL to remove potentially sensitive parameters
      */
@@ -105,47 +156,307 @@
     }
 
     /**
-     * Send custom event to Vercel Analytics
+     * Analytics providers. Each declares
+     *   consent: 'none' (cookieless) | 'analytics' (needs the visitor's consent)
+     *   events: '*' (every event, same name) or { event_name: 'Provider Name' |
+     *     { name, rename: { prop: 'provider_prop' }, properties: { constant: 'value' } } }
+     *   properties: allow-list of what the provider may receive (after rename)
+     *   ready(): library loaded; otherwise events wait for the next flush
+     *   batched: buffer events and send them together (beacon transports);
+     *     other providers get each event immediately, so nothing waits for a
+     *     flush that may never come when the page is closed
+     *   send(batch, options): deliver [{ name, properties, timestamp }]
+     * Event names below are this library's own; unmapped events are not sent.
      */
-    function sendVercelEvent(eventName, properties = {}) {
-        if (typeof window.va === 'function') {
-            window.va('track', eventName, {
-                ...properties,
-                analytics_id: state.analyticsId,
-                is_qr: state.isQR,
-                ...state.utmParams
-            });
-            log('Vercel event sent:', eventName, properties);
-        } else {
-            log('Vercel Analytics not available');
+    const CONTEXT_PROPERTIES = ['analytics_id', 'is_qr', 'campaign', 'source', 'medium'];
+
+    const PROVIDERS = {
+        vercel: {
+            consent: 'none',
+            events: '*',
+            properties: [
+                ...CONTEXT_PROPERTIES, 'content', 'term',
+                'page', 'title', 'section_id', 'section_name', 'time_to_view',
+                'cta_id', 'cta_type', 'form_type', 'form_name', 'form_guid',
+                'locale', 'processing_version', 'communications', 'resource',
+                'action', 'label', 'value', 'trigger', 'link_type', 'destination'
+            ],
+            ready: () => typeof window.va === 'function',
+            send(batch) {
+                batch.forEach(event => window.va('track', event.name, event.properties));
+            }
+        },
+        hubspot: {
+            consent: 'analytics',
+            events: {
+                page_view: {
+                    name: 'Landing Page View',
+                    rename: { page: 'page_url', title: 'page_title' },
+                    properties: { event_type: 'page_view' }
+                },
+                qr_scan_landing: { name: 'QR Code Scan', properties: { event_type: 'qr_landing' } },
+                section_engagement: { name: 'Section Engagement', properties: { event_type: 'section_engagement' } },
+                cta_conversion: {
+                    name: 'CTA Click',
+                    properties: { event_type: 'cta_click', cta_location: 'landing_page' }
+                },
+                form_submission: {
+                    name: 'Form Submission',
+                    properties: { event_type: 'form_submission', conversion_type: 'lead_capture' }
+                },
+                consent_receipt: { name: 'Consent Receipt', properties: { event_type: 'consent_receipt' } },
+                resource_download: { name: 'Resource Download', properties: { event_type: 'resource_download' } },
+                interaction: { name: 'Page Interaction', properties: { event_type: 'interaction' } },
+                link_click: { name: 'Link Click', properties: { event_type: 'link_click' } }
+            },
+            properties: [
+                ...CONTEXT_PROPERTIES,
+                'page_url', 'page_title', 'referrer', 'landing_page',
+                'section_id', 'section_name', 'engagement_threshold',
+                'cta_id', 'cta_type', 'form_type', 'form_guid', 'locale',
+                'processing_version', 'processing_hash', 'privacy_notice_version', 'privacy_notice_hash',
+                'communications', 'resource', 'action', 'label', 'value', 'trigger',
+                'link_type', 'destination'
+            ],
+            ready: () => typeof window._hsq !== 'undefined',
+            send(batch) {
+                batch.forEach(event => window._hsq.push(['trackCustomBehavioralEvent', {
+                    name: event.name,
+                    properties: event.properties
+                }]));
+            }
+        },
+        ga4: {
+            consent: 'analytics',
+            events: {
+                form_conversion: { name: 'form_submit', properties: { event_category: 'engagement' } },
+                resource_download: { name: 'file_download', rename: { resource: 'file_name' } },
+                interaction: { name: 'page_interaction' },
+                link_click: 'link_click'
+            },
+            properties: [
+                'form_name', 'file_name', 'action', 'label', 'value', 'trigger', 'section_id',
+                'link_type', 'destination'
+            ],
+            ready: () => typeof window.gtag === 'function',
+            send(batch) {
+                batch.forEach(event => window.gtag('event', event.name, event.properties));
+            }
+        },
+        plausible: {
+            consent: 'none',
+            events: '*',
+            properties: [
+                'is_qr', 'campaign', 'source', 'medium', 'section_id', 'cta_id', 'form_name', 'resource',
+                'action', 'label', 'value', 'trigger', 'link_type', 'destination'
+            ],
+            ready: () => typeof window.plausible === 'function',
+            send(batch) {
+                batch.forEach(event => window.plausible(event.name, { props: event.properties }));
+            }
+        },
+        // Self-hosted endpoint ({ url } or <body data-analytics-collector>),
+        // one beacon per batch
+        collector: {
+            consent: 'analytics',
+            events: '*',
+            properties: [
+                ...CONTEXT_PROPERTIES, 'content', 'term',
+                'page', 'title', 'referrer', 'landing_page',
+                'section_id', 'section_name', 'time_to_view',
+                'cta_id', 'cta_type', 'form_type', 'form_name', 'form_guid',
+                'locale', 'processing_version', 'communications', 'resource',
+                'action', 'label', 'value', 'trigger', 'link_type', 'destination'
+            ],
+            active: options => Boolean(options.url || document.body.getAttribute('data-analytics-collector')),
+            batched: true,
+            send(batch, options) {
+                const url = options.url || document.body.getAttribute('data-analytics-collector');
+                const body = JSON.stringify({
+                    analytics_id: state.analyticsId,
+                    events: batch.map(event => ({ name: event.name, timestamp: event.timestamp, ...event.properties }))
+                });
+                // text/plain keeps cross-origin beacons free of CORS preflights
+                if (navigator.sendBeacon && navigator.sendBeacon(url, new Blob([body], { type: 'text/plain;charset=UTF-8' }))) {
+                    return;
+                }
+                fetch(url, { method: 'POST', body: body, keepalive: true, mode: 'no-cors' }).catch(() => {});
+            }
         }
+    };
+
+    /**
+     * Enabled providers with their options: CONFIG.providers, then
+     * window.BRI_ANALYTICS_PROVIDERS, then registerProvider()
+     */
+    function getProviders() {
+        if (!state.providers) {
+            const settings = { ...CONFIG.providers, ...(window.BRI_ANALYTICS_PROVIDERS || {}) };
+            state.providers = new Map();
+            Object.keys(settings)
+                .filter(name => settings[name] !== false)
+                .forEach(name => {
+                    if (PROVIDERS[name]) {
+                        state.providers.set(name, { definition: PROVIDERS[name], options: settings[name] || {} });
+                    } else {
+                        log('Unknown analytics provider:', name);
+                    }
+                });
+        }
+        return state.providers;
+    }
+
+    function registerProvider(name, definition, options = {}) {
+        PROVIDERS[name] = definition;
+        getProviders().set(name, { definition: definition, options: options });
+    }
+
+    function hasConsentFor(category) {
+        return category === 'none' || !CONFIG.requireConsent || hasUserConsent();
+    }
+
+    function isAllowed(providerName) {
+        const provider = getProviders().get(providerName);
+        return Boolean(provider) && hasConsentFor(provider.definition.consent);
     }
 
     /**
-     * Send behavioral event to HubSpot (only with consent)
+     * How a provider receives an event, or null if it does not take it
+     * (options.events overrides the provider's mapping, false drops an event)
      */
-    function sendHubSpotEvent(eventName, properties = {}) {
-        // Only send to HubSpot if user has given consent
-        if (!hasUserConsent()) {
-            log('HubSpot tracking skipped - no consent');
+    function getMapping(provider, eventName) {
+        const overrides = provider.options.events || {};
+        const mapping = eventName in overrides
+            ? overrides[eventName]
+            : provider.definition.events === '*' ? eventName : provider.definition.events[eventName];
+
+        if (!mapping) {
+            return null;
+        }
+        return typeof mapping === 'string' ? { name: mapping } : mapping;
+    }
+
+    function toProviderProperties(provider, mapping, properties) {
+        const allowed = provider.options.properties || provider.definition.properties;
+        const renamed = {};
+        Object.keys(properties).forEach(key => {
+            const name = (mapping.rename && mapping.rename[key]) || key;
+            if (allowed.includes(name)) {
+                renamed[name] = properties[key];
+            }
+        });
+        return { ...renamed, ...mapping.properties };
+    }
+
+    /**
+     * Single dispatch path: every tracked event goes to each provider that
+     * maps it, filtered to that provider's allow-list
+     */
+    function track(eventName, properties = {}) {
+        const eventProperties = {
+            analytics_id: state.analyticsId,
+            is_qr: state.isQR,
+            ...state.utmParams,
+            ...properties
+        };
+
+        getProviders().forEach((provider, providerName) => {
+            const mapping = getMapping(provider, eventName);
+            if (!mapping || (provider.definition.active && !provider.definition.active(provider.options))) {
+                return;
+            }
+            enqueue(providerName, mapping.name, toProviderProperties(provider, mapping, eventProperties));
+        });
+    }
+
+    /**
+     * Buffer an event for a provider (held while consent is undecided,
+     * dropped right away once it is refused)
+     */
+    function enqueue(providerName, eventName, properties) {
+        const event = { provider: providerName, name: eventName, properties: properties, timestamp: Date.now(), attempts: 0 };
+
+        if (!isAllowed(providerName)) {
+            // Until the banner is answered, keep them (in memory only) for replay
+            if (getProviders().has(providerName) && !hasConsentDecision()) {
+                state.heldEvents.push(event);
+                state.heldEvents.splice(0, state.heldEvents.length - CONFIG.queue.maxSize);
+                log(`${providerName} event held until consent:`, eventName);
+            } else {
+                log(`${providerName} event dropped - no consent:`, eventName);
+            }
             return;
         }
 
-        if (typeof window._hsq !== 'undefined') {
-            window._hsq.push(['trackCustomBehavioralEvent', {
-                name: eventName,
-                properties: {
-                    ...properties,
-                    analytics_id: state.analyticsId,
-                    is_qr: state.isQR,
-                    campaign: state.utmParams.campaign,
-                    source: state.utmParams.source,
-                    medium: state.utmParams.medium
-                }
-            }]);
-            log('HubSpot event sent:', eventName, properties);
-        } else {
-            log('HubSpot tracking not available');
+        queueEvent(event);
+    }
+
+    function queueEvent(event) {
+        const provider = getProviders().get(event.provider);
+        const buffered = state.queue.some(queued => queued.provider === event.provider);
+        if (provider && !provider.definition.batched && !buffered
+            && (!provider.definition.ready || provider.definition.ready())) {
+            sendBatch(provider, event.provider, [event]);
+            return;
+        }
+
+        state.queue.push(event);
+
+        const overflow = state.queue.length - CONFIG.queue.maxSize;
+        if (overflow > 0) {
+            state.queue.splice(0, overflow);
+            log('Event queue full - dropped', overflow, 'oldest events');
+        }
+
+        if (state.queue.length >= CONFIG.queue.batchSize) {
+            flush();
+        } else if (!state.flushTimer) {
+            state.flushTimer = setTimeout(flush, CONFIG.queue.flushInterval);
+        }
+    }
+
+    /**
+     * Deliver queued events in batches. A provider whose library is not
+     * loaded yet gets its events on a later flush, up to maxAttempts
+     * (blocked scripts never load).
+     */
+    function flush() {
+        clearTimeout(state.flushTimer);
+        state.flushTimer = null;
+
+        const events = state.queue.splice(0);
+        const kept = [];
+
+        getProviders().forEach((provider, providerName) => {
+            // Consent may have been withdrawn since the events were queued
+            const pending = events.filter(event => event.provider === providerName);
+            if (pending.length === 0 || !isAllowed(providerName)) {
+                return;
+            }
+
+            if (provider.definition.ready && !provider.definition.ready()) {
+                log(`${providerName} not available yet`);
+                kept.push(...pending.filter(event => ++event.attempts < CONFIG.queue.maxAttempts));
+                return;
+            }
+
+            for (let i = 0; i < pending.length; i += CONFIG.queue.batchSize) {
+                sendBatch(provider, providerName, pending.slice(i, i + CONFIG.queue.batchSize));
+            }
+        });
+
+        if (kept.length > 0) {
+            state.queue.unshift(...kept);
+            state.flushTimer = setTimeout(flush, CONFIG.queue.flushInterval);
+        }
+    }
+
+    function sendBatch(provider, providerName, batch) {
+        try {
+            provider.definition.send(batch, provider.options);
+            log(`${providerName}: sent`, batch.length, 'events');
+        } catch (error) {
+            log(`${providerName}: send failed`, error);
         }
     }
 
@@ -154,13 +465,7 @@
      */
     function trackQRLanding() {
         if (state.isQR) {
-            sendVercelEvent('qr_scan_landing', {
-                campaign: state.utmParams.campaign || 'unknown',
-                source: state.utmParams.source || 'unknown'
-            });
-
-            sendHubSpotEvent('QR Code Scan', {
-                event_type: 'qr_landing',
+            track('qr_scan_landing', {
                 campaign: state.utmParams.campaign || 'unknown',
                 source: state.utmParams.source || 'unknown',
                 landing_page: state.analyticsId
@@ -175,19 +480,10 @@
      */
     function trackPageView() {
         // Use sanitized URLs to protect PII
-        const sanitizedPath = sanitizeURL(window.location.href);
-        const sanitizedReferrer = document.referrer ? sanitizeURL(document.referrer) : 'direct';
-
-        sendVercelEvent('page_view', {
-            page: sanitizedPath,
-            title: document.title
-        });
-
-        sendHubSpotEvent('Landing Page View', {
-            event_type: 'page_view',
-            page_url: sanitizedPath,
-            page_title: document.title,
-            referrer: sanitizedReferrer
+        track('page_view', {
+            page: sanitizeURL(window.location.href),
+            title: document.title,
+            referrer: document.referrer ? sanitizeURL(document.referrer) : 'direct'
         });
 
         log('Page view tracked');
@@ -203,16 +499,10 @@
 
         state.trackedSections.add(sectionId);
 
-        sendVercelEvent('section_engagement', {
-            section_id: sectionId,
-            section_name: sectionName,
-            time_to_view: Math.round((Date.now() - state.pageLoadTime) / 1000)
-        });
-
-        sendHubSpotEvent('Section Engagement', {
-            event_type: 'section_engagement',
+        track('section_engagement', {
             section_id: sectionId,
             section_name: sectionName,
+            time_to_view: Math.round((Date.now() - state.pageLoadTime) / 1000),
             engagement_threshold: `${CONFIG.sectionVisibilityThreshold * 100}% visible for ${CONFIG.sectionEngagementTime / 1000}s`
         });
 
@@ -223,18 +513,11 @@
      * Track CTA click
      */
     function trackCTAClick(ctaId, ctaType) {
-        sendVercelEvent('cta_conversion', {
+        track('cta_conversion', {
             cta_id: ctaId,
             cta_type: ctaType
         });
 
-        sendHubSpotEvent('CTA Click', {
-            event_type: 'cta_click',
-            cta_id: ctaId,
-            cta_type: ctaType,
-            cta_location: 'landing_page'
-        });
-
         log('CTA click tracked:', ctaId);
     }
 
@@ -242,17 +525,122 @@
      * Track form submission
      */
     function trackFormSubmit(formType) {
-        sendVercelEvent('form_submission', {
+        track('form_submission', {
             form_type: formType
         });
 
-        sendHubSpotEvent('Form Submission', {
-            event_type: 'form_submission',
-            form_type: formType,
-            conversion_type: 'lead_capture'
+        log('Form submission tracked:', formType);
+    }
+
+    /**
+     * Track a successful BRI custom form submission (GA4 form_submit)
+     */
+    function trackFormConversion(formName, formGuid) {
+        track('form_conversion', {
+            form_name: formName,
+            form_guid: formGuid
         });
 
-        log('Form submission tracked:', formType);
+        log('Form conversion tracked:', formName);
+    }
+
+    /**
+     * Track consent receipt (versions and hashes only, never form values)
+     */
+    function trackConsentReceipt(receipt) {
+        track('consent_receipt', {
+            form_guid: receipt.formGuid,
+            locale: receipt.locale,
+            processing_version: receipt.processing.version,
+            processing_hash: receipt.processing.hash,
+            privacy_notice_version: receipt.privacyNotice.version,
+            privacy_notice_hash: receipt.privacyNotice.hash,
+            communications: (receipt.communications || [])
+                .map(c => `${c.subscriptionTypeId}:${c.version}:${c.value ? 'yes' : 'no'}`)
+                .join(',')
+        });
+
+        log('Consent receipt tracked:', receipt.formGuid);
+    }
+
+    /**
+     * Download of a resource delivered after a form submission
+     */
+    function trackResourceDownload(resourceId, formGuid) {
+        track('resource_download', {
+            resource: resourceId,
+            form_guid: formGuid
+        });
+
+        log('Resource download tracked:', resourceId);
+    }
+
+    /**
+     * Dwell time: accumulate how long each section is in view while the tab is visible
+     */
+    function startDwell(sectionId) {
+        if (!document.hidden && !state.sectionVisibleSince.has(sectionId)) {
+            state.sectionVisibleSince.set(sectionId, Date.now());
+        }
+    }
+
+    function stopDwell(sectionId) {
+        const since = state.sectionVisibleSince.get(sectionId);
+        if (since) {
+            state.sectionDwell.set(sectionId, (state.sectionDwell.get(sectionId) || 0) + Date.now() - since);
+            state.sectionVisibleSince.delete(sectionId);
+        }
+    }
+
+    function getSectionDwell(sectionId) {
+        const since = state.sectionVisibleSince.get(sectionId);
+        return (state.sectionDwell.get(sectionId) || 0) + (since ? Date.now() - since : 0);
+    }
+
+    /**
+     * Sections ordered by dwell time, longest first (only those viewed long
+     * enough to count as engagement)
+     */
+    function getTopSections(limit = 3) {
+        const sectionIds = new Set([...state.sectionDwell.keys(), ...state.sectionVisibleSince.keys()]);
+        return Array.from(sectionIds)
+            .map(sectionId => ({ sectionId, dwell: getSectionDwell(sectionId) }))
+            .filter(section => section.dwell >= CONFIG.sectionEngagementTime)
+            .sort((a, b) => b.dwell - a.dwell)
+            .slice(0, limit)
+            .map(section => section.sectionId);
+    }
+
+    function getEngagementLevel(seconds, sectionCount) {
+        const levels = CONFIG.engagementLevels;
+        if (seconds >= levels.high.seconds || sectionCount >= levels.high.sections) {
+            return 'high';
+        }
+        if (seconds >= levels.medium.seconds || sectionCount >= levels.medium.sections) {
+            return 'medium';
+        }
+        return 'low';
+    }
+
+    /**
+     * Engagement fields for form submissions (BRICustomForm whitelists these).
+     * Returns nothing without consent, so no behavioural data reaches the CRM.
+     */
+    function populateFormFields() {
+        if (CONFIG.requireConsent && !hasUserConsent()) {
+            return {};
+        }
+
+        const seconds = Math.round(performance.now() / 1000);
+        const topSections = getTopSections(3);
+        const fields = {
+            session_duration_seconds: seconds,
+            event_engagement_level: getEngagementLevel(seconds, getTopSections(Infinity).length)
+        };
+        topSections.forEach((sectionId, index) => {
+            fields[`top_interest_section_${index + 1}`] = sectionId;
+        });
+        return fields;
     }
 
     /**
@@ -295,7 +683,33 @@
             threshold: CONFIG.sectionVisibilityThreshold
         });
 
-        sections.forEach(section => observer.observe(section));
+        // Dwell time counts while a section crosses the middle of the viewport:
+        // sections taller than two screens can never be 50% visible on mobile
+        const dwellObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                const sectionId = entry.target.getAttribute('data-track-section');
+
+                if (entry.isIntersecting) {
+                    state.visibleSections.add(sectionId);
+                    startDwell(sectionId);
+                } else {
+                    state.visibleSections.delete(sectionId);
+                    stopDwell(sectionId);
+                }
+            });
+        }, {
+            rootMargin: CONFIG.dwellRootMargin
+        });
+
+        sections.forEach(section => {
+            observer.observe(section);
+            dwellObserver.observe(section);
+        });
+
+        // Time in a background tab is not reading time
+        document.addEventListener('visibilitychange', () => {
+            state.visibleSections.forEach(document.hidden ? stopDwell : startDwell);
+        });
         log('Section observer setup complete:', sections.length, 'sections');
     }
 
@@ -343,6 +757,162 @@
         log('Form tracking setup complete:', forms.length, 'forms');
     }
 
+    /**
+     * Section an element sits in (data-track-section of the nearest ancestor)
+     */
+    function getSectionId(element) {
+        const section = element.closest('[data-track-section]');
+        return section ? section.getAttribute('data-track-section') : null;
+    }
+
+    /**
+     * When a declaratively tracked element fires: data-analytics-on, or
+     * submit for forms and click for everything else
+     */
+    function getTrigger(element) {
+        return element.getAttribute('data-analytics-on') || (element.tagName === 'FORM' ? 'submit' : 'click');
+    }
+
+    /**
+     * Track a data-analytics-* element as an "interaction" event
+     */
+    function trackInteraction(element, trigger) {
+        const action = element.getAttribute('data-analytics-action');
+
+        track('interaction', {
+            action: action,
+            label: element.getAttribute('data-analytics-label'),
+            value: element.getAttribute('data-analytics-value'),
+            trigger: trigger,
+            section_id: getSectionId(element)
+        });
+
+        log('Interaction tracked:', action, trigger);
+    }
+
+    /**
+     * Setup declarative tracking for any element with data-analytics-action
+     * (plus optional -label, -value and -on="click|view|submit"). Clicks and
+     * submits are delegated, so elements added later are covered too.
+     */
+    function setupDeclarativeTracking() {
+        document.addEventListener('click', (event) => {
+            const element = event.target.closest && event.target.closest('[data-analytics-action]');
+            if (element && getTrigger(element) === 'click') {
+                trackInteraction(element, 'click');
+            }
+        });
+
+        document.addEventListener('submit', (event) => {
+            const form = event.target;
+            if (form.matches('[data-analytics-action]') && getTrigger(form) === 'submit') {
+                trackInteraction(form, 'submit');
+            }
+        });
+
+        // Views are counted once per element
+        const viewObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting && entry.intersectionRatio >= CONFIG.sectionVisibilityThreshold) {
+                    viewObserver.unobserve(entry.target);
+                    trackInteraction(entry.target, 'view');
+                }
+            });
+        }, {
+            threshold: CONFIG.sectionVisibilityThreshold
+        });
+
+        const observeViews = (root) => {
+            const elements = root.matches && root.matches('[data-analytics-action]') ? [root] : [];
+            elements.concat(Array.from(root.querySelectorAll('[data-analytics-action]')))
+                .filter(element => getTrigger(element) === 'view')
+                .forEach(element => viewObserver.observe(element));
+        };
+
+        observeViews(document);
+        new MutationObserver((mutations) => {
+            mutations.forEach(mutation => mutation.addedNodes.forEach(node => {
+                if (node.nodeType === Node.ELEMENT_NODE) {
+                    observeViews(node);
+                }
+            }));
+        }).observe(document.body, { childList: true, subtree: true });
+
+        log('Declarative tracking setup complete');
+    }
+
+    /**
+     * What kind of link a click left the page through, or null for links
+     * that stay on the site
+     */
+    function classifyLink(link) {
+        let url;
+        try {
+            url = new URL(link.href, window.location.href);
+        } catch {
+            return null;
+        }
+
+        if (url.protocol === 'mailto:') {
+            // Only the mail domain, never the address
+            const domain = url.pathname.split('@')[1] || '';
+            return { type: 'email', destination: domain.toLowerCase() || null };
+        }
+        if (url.protocol === 'tel:') {
+            return { type: 'phone', destination: null };
+        }
+        if (!/^https?:$/.test(url.protocol) || url.hostname === window.location.hostname) {
+            return null;
+        }
+
+        // Hostname only: paths and queries may carry names or addresses
+        const hostname = url.hostname.toLowerCase().replace(/^www\./, '');
+        const isBooking = CONFIG.bookingDomains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+        return { type: isBooking ? 'booking' : 'outbound', destination: hostname };
+    }
+
+    /**
+     * Track a click on an outbound, mailto, tel or booking link
+     */
+    function trackLinkClick(linkType, destination, sectionId) {
+        track('link_click', {
+            link_type: linkType,
+            destination: destination,
+            section_id: sectionId
+        });
+
+        log('Link click tracked:', linkType, destination);
+    }
+
+    /**
+     * Setup automatic link tracking (delegated, so links added later count).
+     * Links already tracked via data-track-cta or data-analytics-action, and
+     * those marked data-analytics-ignore, are left alone.
+     */
+    function setupLinkTracking() {
+        const handleClick = (event) => {
+            // Middle clicks open links too
+            if (event.type === 'auxclick' && event.button !== 1) {
+                return;
+            }
+
+            const link = event.target.closest && event.target.closest('a[href]');
+            if (!link || link.closest('[data-track-cta], [data-analytics-action], [data-analytics-ignore]')) {
+                return;
+            }
+
+            const classification = classifyLink(link);
+            if (classification) {
+                trackLinkClick(classification.type, classification.destination, getSectionId(link));
+            }
+        };
+
+        document.addEventListener('click', handleClick);
+        document.addEventListener('auxclick', handleClick);
+
+        log('Link tracking setup complete');
+    }
+
     /**
      * Initialize analytics
      */
@@ -355,6 +925,12 @@
             return;
         }
 
+        // Observers, listeners and the page view are set up once per page
+        if (state.initialized) {
+            return;
+        }
+        state.initialized = true;
+
         // Check consent status
         const hasConsent = hasUserConsent();
         if (!hasConsent && CONFIG.requireConsent) {
@@ -379,10 +955,21 @@
         setupSectionObserver();
         setupCTATracking();
         setupFormTracking();
+        setupDeclarativeTracking();
+        setupLinkTracking();
 
         log('Analytics initialized successfully');
     }
 
+    // Last chance to deliver: mobile visitors often leave by switching apps,
+    // which fires visibilitychange but not always pagehide
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            flush();
+        }
+    });
+    window.addEventListener('pagehide', flush);
+
     // Auto-initialize when DOM is ready
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', init);
@@ -394,14 +981,33 @@
     window.EventAnalytics = {
         trackCTAClick,
         trackFormSubmit,
+        trackFormConversion,
         trackSectionEngagement,
+        trackConsentReceipt,
+        trackResourceDownload,
+        trackLinkClick,
         getCampaignContext,
+        populateFormFields,
+        track,
+        registerProvider,
+        flush,
         setConsent: (value) => {
             localStorage.setItem('analytics-consent', value ? 'true' : 'false');
+
+            // Events from before the decision are replayed once, or discarded
+            const held = state.heldEvents.splice(0);
             if (value) {
-                init(); // Re-initialize with consent
+                held.filter(event => isAllowed(event.provider)).forEach(queueEvent);
+                log('Replayed', held.length, 'events held until consent');
+            } else {
+                // Queued events for consent-gated providers go no further
+                state.queue = state.queue.filter(event => isAllowed(event.provider));
+                log('Discarded', held.length, 'events held until consent');
             }
         }
     };
 
+    // Picked up by BRICustomForm when building a submission
+    window.BRI_populateFormFields = populateFormFields;
+
 })();
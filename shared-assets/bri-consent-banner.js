@@ -3,12 +3,63 @@
  *
  * Lightweight consent management for analytics tracking
  * Sets cookie/localStorage for user preference persistence
+ * Banner text is shown in English or German (see MESSAGES)
+ * Styled with the same --bri-* custom properties and window.BRI_THEME as
+ * the BRI custom forms (theme.banner sets the banner's own colours)
+ * Locale detection and theme naming come from window.BRIFormHelpers
+ * (assets/js/bri-custom-forms.js, loaded before this deferred script);
+ * without it the banner is English with its CSS look
  *
  */
 
 (function() {
     'use strict';
 
+    // Banner text per language
+    const MESSAGES = {
+        en: {
+            text: 'We use cookies and analytics to improve your experience and measure event engagement. This includes sharing data with HubSpot for better event insights. Your privacy is important to us.',
+            reject: 'Reject',
+            accept: 'Accept Analytics'
+        },
+        de: {
+            text: 'Wir verwenden Cookies und Analysen, um Ihr Erlebnis zu verbessern und das Interesse an unseren Veranstaltungen zu messen. Dazu gehört auch die Weitergabe von Daten an HubSpot für bessere Veranstaltungsauswertungen. Ihre Privatsphäre ist uns wichtig.',
+            reject: 'Ablehnen',
+            accept: 'Analyse akzeptieren'
+        }
+    };
+
+    // theme.mode variants; dark is the CSS fallback look
+    const THEME_PRESETS = {
+        dark: {},
+        light: {
+            banner: {
+                background: '#ffffff',
+                text: '#2d3748',
+                border: 'rgba(0, 0, 0, 0.2)'
+            }
+        }
+    };
+
+    // Apply window.BRI_THEME to the banner
+    function applyTheme(banner) {
+        if (!window.BRIFormHelpers) {
+            return;
+        }
+        const { themeProperties } = window.BRIFormHelpers;
+        const theme = window.BRI_THEME || {};
+        const properties = {
+            ...themeProperties(THEME_PRESETS[theme.mode]),
+            ...themeProperties(theme)
+        };
+        Object.keys(properties).forEach(name => banner.style.setProperty(name, properties[name]));
+    }
+
+    // Same precedence as the forms, limited to the languages in MESSAGES
+    function detectLocale() {
+        return window.BRIFormHelpers ? window.BRIFormHelpers.detectLocale(MESSAGES) : 'en';
+    }
+
     // Check if consent has already been given or denied
     function hasExistingConsent() {
         const consentCookie = document.cookie.split(';').find(c => c.trim().startsWith('analytics-consent='));
@@ -26,17 +77,22 @@
         // Also set localStorage as backup
         localStorage.setItem('analytics-consent', value);
 
-        // Trigger analytics re-initialization if consent granted
-        if (value === 'true' && window.EventAnalytics) {
-            window.EventAnalytics.setConsent(true);
+        // Analytics replays or discards the events it held back until now
+        if (window.EventAnalytics) {
+            window.EventAnalytics.setConsent(value === 'true');
         }
     }
 
     // Create and show consent banner
     function showConsentBanner() {
         // Create banner HTML
+        const locale = detectLocale();
+        const messages = MESSAGES[locale];
+
         const banner = document.createElement('div');
         banner.id = 'consent-banner';
+        banner.lang = locale;
+        applyTheme(banner);
         banner.innerHTML = `
             <style>
                 #consent-banner {
@@ -44,12 +100,12 @@
                     bottom: 0;
                     left: 0;
                     right: 0;
-                    background: linear-gradient(135deg, #1a1a1a 0%, #2d2d2d 100%);
-                    color: white;
+                    background: var(--bri-banner-background, linear-gradient(135deg, #1a1a1a 0%, #2d2d2d 100%));
+                    color: var(--bri-banner-text, white);
                     padding: 20px;
                     box-shadow: 0 -2px 10px rgba(0,0,0,0.2);
                     z-index: 10000;
-                    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                    font-family: var(--bri-font-family, -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif);
                     animation: slideUp 0.3s ease-out;
                 }
 
@@ -87,31 +143,38 @@
                 #consent-banner button {
                     padding: 10px 24px;
                     border: none;
-                    border-radius: 4px;
+                    border-radius: var(--bri-button-radius, var(--bri-radius, 4px));
+                    font-family: inherit;
                     font-size: 14px;
-                    font-weight: 600;
+                    font-weight: var(--bri-button-font-weight, 600);
+                    text-transform: var(--bri-button-text-transform, none);
                     cursor: pointer;
                     transition: all 0.2s;
                 }
 
                 #consent-banner .accept-btn {
-                    background: #00c853;
-                    color: white;
+                    background: var(--bri-button-background, var(--bri-color-primary, #00c853));
+                    color: var(--bri-button-text, var(--bri-color-primary-text, white));
                 }
 
                 #consent-banner .accept-btn:hover {
-                    background: #00a844;
+                    filter: brightness(0.92);
                     transform: translateY(-1px);
                 }
 
                 #consent-banner .reject-btn {
                     background: transparent;
-                    color: white;
-                    border: 1px solid rgba(255,255,255,0.3);
+                    color: inherit;
+                    border: 1px solid var(--bri-banner-border, rgba(255,255,255,0.3));
                 }
 
                 #consent-banner .reject-btn:hover {
-                    background: rgba(255,255,255,0.1);
+                    background: rgba(127,127,127,0.15);
+                }
+
+                #consent-banner button:focus-visible {
+                    outline: 2px solid var(--bri-color-accent, #5d9182);
+                    outline-offset: 2px;
                 }
 
                 @media (max-width: 768px) {
@@ -128,13 +191,11 @@
             </style>
             <div class="consent-content">
                 <div class="consent-text">
-                    We use cookies and analytics to improve your experience and measure event engagement.
-                    This includes sharing data with HubSpot for better event insights.
-                    Your privacy is important to us.
+                    ${messages.text}
                 </div>
                 <div class="consent-buttons">
-                    <button class="reject-btn" onclick="window.handleConsentChoice(false)">Reject</button>
-                    <button class="accept-btn" onclick="window.handleConsentChoice(true)">Accept Analytics</button>
+                    <button class="reject-btn" onclick="window.handleConsentChoice(false)">${messages.reject}</button>
+                    <button class="accept-btn" onclick="window.handleConsentChoice(true)">${messages.accept}</button>
                 </div>
             </div>
         `;